@@ -1,10 +1,21 @@
 /**
  * 注入脚本 - 在 https://omni.variational.io/ 页面控制台中运行
  * 连接本地WebSocket服务器，处理RPC请求
+ *
+ * 不要直接粘贴本文件：运行 npm run build:injector，粘贴生成的 dist/inject.console.js，
+ * 其中已打包协议定义 (extension/protocol.js) 并填入 bridgeToken。
  */
 (function() {
   // whistle规则: wss://localhost:8765 ws://localhost:8765
   const WS_URL = 'wss://localhost:8765';
+  // 与本地服务器配置中的 bridgeToken 一致，构建时自动填入
+  const AUTH_TOKEN = '';
+
+  if (!window.VarProtocol) {
+    console.error('[VAR-Proxy] 缺少协议定义，请运行 npm run build:injector 并粘贴 dist/inject.console.js');
+    return;
+  }
+  const { PROTOCOL_VERSION, MESSAGE_TYPES, METHODS, ERROR_CODES, CLOSE_CODES, encodeRpcResult } = window.VarProtocol;
 
   let ws = null;
   let reconnectAttempts = 0;
@@ -33,26 +44,54 @@
     }
 
     ws.onopen = () => {
-      log('已连接到本地服务器', 'success');
+      log('已连接到本地服务器，等待认证', 'success');
       reconnectAttempts = 0;
-      ws.send(JSON.stringify({ type: 'ready', domain: window.location.hostname }));
     };
 
     ws.onmessage = async (event) => {
       try {
         const msg = JSON.parse(event.data);
 
-        if (msg.type === 'rpc_request') {
+        if (msg.type === MESSAGE_TYPES.AUTH_CHALLENGE) {
+          ws.send(JSON.stringify({
+            type: MESSAGE_TYPES.AUTH,
+            signature: await signChallenge(msg.nonce),
+            client: 'console',
+          }));
+        } else if (msg.type === MESSAGE_TYPES.AUTH_OK) {
+          log('认证通过', 'success');
+          ws.send(JSON.stringify({
+            type: MESSAGE_TYPES.HELLO,
+            version: PROTOCOL_VERSION,
+            methods: Object.keys(rpcHandlers),
+            client: 'console',
+          }));
+          ws.send(JSON.stringify({ type: MESSAGE_TYPES.READY, domain: window.location.hostname }));
+        } else if (msg.type === MESSAGE_TYPES.HELLO_ACK) {
+          log(`协议协商完成 (服务端 v${msg.version})`, 'success');
+        } else if (msg.type === MESSAGE_TYPES.HELLO_ERROR) {
+          log(`协议不兼容: ${msg.message}`, 'error');
+        } else if (msg.type === MESSAGE_TYPES.RPC_REQUEST) {
           await handleRpcRequest(msg);
-        } else if (msg.type === 'ping') {
-          ws.send(JSON.stringify({ type: 'pong' }));
+        } else if (msg.type === MESSAGE_TYPES.RPC_CANCEL) {
+          inFlight.get(msg.id)?.abort(rpcError(ERROR_CODES.CANCELLED, '请求已被服务端取消'));
+        } else if (msg.type === MESSAGE_TYPES.PING) {
+          ws.send(JSON.stringify({ type: MESSAGE_TYPES.PONG }));
         }
       } catch (e) {
         log(`处理消息失败: ${e.message}`, 'error');
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
+      if (event.code === CLOSE_CODES.AUTH_FAILED) {
+        log('认证失败，请检查 AUTH_TOKEN', 'error');
+        return;
+      }
+      if (event.code === CLOSE_CODES.PROTOCOL_MISMATCH) {
+        log('协议版本不兼容，请重新生成注入脚本', 'error');
+        return;
+      }
       log('连接已断开', 'warn');
       tryReconnect();
     };
@@ -62,6 +101,16 @@
     };
   }
 
+  // HMAC-SHA256(AUTH_TOKEN, 随机数)，与服务端 signChallenge 一致
+  async function signChallenge(nonce) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw', encoder.encode(AUTH_TOKEN), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+    return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
   function tryReconnect() {
     if (reconnectAttempts < maxReconnectAttempts) {
       reconnectAttempts++;
@@ -72,63 +121,128 @@
     }
   }
 
+  // 控制台脚本只支持 fetch，推送流需要插件在页面加载前保存原生WebSocket
+  const rpcHandlers = {
+    [METHODS.FETCH]: (params, signal) => doFetch(params.url, params.options, signal),
+  };
+
+  // 处理中的请求 id -> AbortController，用于超时和服务端取消
+  const inFlight = new Map();
+
+  function rpcError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
   async function handleRpcRequest(msg) {
-    const { id, method, params } = msg;
+    const { id, method, params, timeout } = msg;
+    const controller = new AbortController();
+    inFlight.set(id, controller);
+    const timer = timeout
+      ? setTimeout(() => controller.abort(rpcError(ERROR_CODES.TIMEOUT, `请求超时 (${timeout}ms)`)), timeout)
+      : null;
 
     try {
-      let result;
-
-      if (method === 'fetch') {
-        result = await doFetch(params.url, params.options);
-      } else {
-        throw new Error(`Unknown method: ${method}`);
+      const handler = rpcHandlers[method];
+      if (!handler) {
+        throw rpcError(ERROR_CODES.UNKNOWN_METHOD, `Unknown method: ${method}`);
       }
+      const result = await handler(params, controller.signal);
 
-      ws.send(JSON.stringify({
-        type: 'rpc_response',
-        id,
-        result,
-      }));
+      // 较大的结果压缩后分块发送
+      for (const message of await encodeRpcResult(id, result)) {
+        ws.send(JSON.stringify(message));
+      }
 
-      log(`[${id}] ${params.url} - OK`, 'success');
+      log(`[${id}] ${params.url} - ${result.status}`, result.ok ? 'success' : 'warn');
     } catch (e) {
+      // 服务端已取消的请求不再回复
+      if (e.code === ERROR_CODES.CANCELLED) {
+        log(`[${id}] ${params.url} - 已取消`, 'warn');
+        return;
+      }
       ws.send(JSON.stringify({
-        type: 'rpc_response',
+        type: MESSAGE_TYPES.RPC_RESPONSE,
         id,
         error: e.message,
+        code: e.code,
       }));
 
       log(`[${id}] ${params.url} - FAIL: ${e.message}`, 'error');
+    } finally {
+      clearTimeout(timer);
+      inFlight.delete(id);
     }
   }
 
-  async function doFetch(url, options = {}) {
+  /**
+   * 发起请求并返回完整响应（格式见 protocol.js），非 2xx 也正常返回，由服务端分类
+   * signal 中止时 fetch 以 signal.reason（带 code 的错误）拒绝
+   */
+  async function doFetch(url, options = {}, signal) {
+    const method = (options.method || 'GET').toUpperCase();
     const fetchOptions = {
-      method: options.method || 'GET',
+      method,
       headers: {
         'Accept': 'application/json, text/plain, */*',
         ...options.headers,
       },
-      credentials: 'same-origin',
+      credentials: options.credentials || 'same-origin',
+      signal,
     };
 
-    if (options.body) {
-      fetchOptions.body = options.body;
+    if (options.body !== undefined && options.body !== null) {
+      if (method === 'GET' || method === 'HEAD') {
+        throw rpcError(ERROR_CODES.INVALID_REQUEST, `${method} 请求不能带 body`);
+      }
+      // 对象形式的 body 按 JSON 发送，未指定 Content-Type 时自动补上
+      if (typeof options.body === 'string') {
+        fetchOptions.body = options.body;
+      } else {
+        fetchOptions.body = JSON.stringify(options.body);
+        const hasContentType = Object.keys(fetchOptions.headers).some(key => key.toLowerCase() === 'content-type');
+        if (!hasContentType) {
+          fetchOptions.headers['Content-Type'] = 'application/json';
+        }
+      }
     }
 
-    const response = await fetch(url, fetchOptions);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const startedAt = Date.now();
+    let response;
+    let text;
+    try {
+      response = await fetch(url, fetchOptions);
+      text = await response.text();
+    } catch (e) {
+      if (e.code) throw e;
+      throw rpcError(ERROR_CODES.NETWORK_ERROR, e.message);
     }
 
-    const contentType = response.headers.get('content-type') || '';
+    const headers = Object.fromEntries(response.headers.entries());
+    let body = text;
+    let bodyType = 'text';
 
-    if (contentType.includes('application/json')) {
-      return await response.json();
-    } else {
-      return await response.text();
+    if ((headers['content-type'] || '').includes('json')) {
+      try {
+        body = JSON.parse(text);
+        bodyType = 'json';
+      } catch (e) {
+        // 声明为JSON但无法解析（如错误页），按文本返回
+      }
     }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      url: response.url,
+      redirected: response.redirected,
+      headers,
+      bodyType,
+      body,
+      timing: { startedAt, durationMs: Date.now() - startedAt },
+    };
   }
 
   // 启动连接
@@ -0,0 +1,22 @@
+import fs from "fs";
+import { config } from "./src/config.js";
+
+// 控制台注入脚本无法 import，将协议定义和注入脚本拼接为一个可直接粘贴的文件
+const outFile = "dist/inject.console.js";
+const protocol = fs.readFileSync("extension/protocol.js", "utf8");
+let injector = fs.readFileSync("browser/inject.js", "utf8");
+
+const tokenLine = "const AUTH_TOKEN = '';";
+if (!injector.includes(tokenLine)) {
+  console.error("Build failed: AUTH_TOKEN placeholder not found in browser/inject.js");
+  process.exit(1);
+}
+if (config.bridgeToken) {
+  injector = injector.replace(tokenLine, `const AUTH_TOKEN = ${JSON.stringify(config.bridgeToken)};`);
+} else {
+  console.warn("bridgeToken is not configured, AUTH_TOKEN left empty");
+}
+
+fs.mkdirSync("dist", { recursive: true });
+fs.writeFileSync(outFile, `${protocol}\n${injector}`);
+console.log(`Build successful: ${outFile}`);
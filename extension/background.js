@@ -1,15 +1,45 @@
 /**
  * Background Service Worker
- * 负责连接本地 ws://localhost:8766 并与 content script 双向通信
+ * 负责连接本地服务器（默认 ws://localhost:8766，可在选项页修改）并与 content script 双向通信
+ * 连接后先用选项页中设置的密钥完成挑战-应答认证，认证通过才转发消息
+ * 连接状态和RPC统计通过 get_status 提供给弹出页
+ * 始终保持一个已注册的VAR页面：没有时自动打开固定标签页，页面被丢弃或崩溃后重新加载
  */
 
-const WS_URL = 'ws://localhost:8766';
+importScripts('protocol.js', 'settings.js');
+
+const { MESSAGE_TYPES, CLOSE_CODES, METHODS } = self.VarProtocol;
+const { DEFAULT_SETTINGS, SETTING_KEYS, loadSettings } = self.VarSettings;
+const VAR_URL = 'https://omni.variational.io/';
+const VAR_URL_PATTERN = 'https://omni.variational.io/*';
 let ws = null;
 let reconnectAttempts = 0;
 const maxReconnectAttempts = 100;
-const reconnectDelay = 3000;
 const PING_INTERVAL = 20000; // 20秒发送一次ping（客户端间隔稍长）
 const PONG_TIMEOUT = 15000;  // 15秒内没收到pong则重连
+const KEEPALIVE_ALARM = 'proxy_tab_keepalive';
+const KEEPALIVE_PERIOD_MINUTES = 1;
+const TAB_CHECK_DELAY = 5000; // 页面断开后等待重新注册的时间，超时再检查
+const MAX_RECENT_ERRORS = 10;
+const DISPATCH_GRACE = 5000; // 请求超时后仍接受迟到响应的时间
+
+let settings = { ...DEFAULT_SETTINGS };
+// 当前使用的服务器地址下标，连接失败时轮换
+let serverIndex = 0;
+let authenticated = false;
+let reconnectTimer = null;
+// no_token | connecting | authenticating | connected | waiting | auth_failed | protocol_mismatch
+let connectionState = 'connecting';
+let lastClose = null;
+
+// RPC 统计，worker 重启后清零
+const stats = {
+  connectedAt: null,
+  rpcRequests: 0,
+  rpcSuccesses: 0,
+  rpcFailures: 0,
+  recentErrors: [],
+};
 
 let pingTimer = null;
 let pongTimer = null;
@@ -18,6 +48,20 @@ let isAlive = false;
 // 存储所有连接的tab
 const connectedTabs = new Map();
 
+// 已转发给页面的RPC请求 id -> { tabs: Set<tabId>, responder: tabId|null, method, timer }
+// 只向服务器转发这些请求的结果，同一请求只接受最先回复的tab
+const dispatchedRpcs = new Map();
+
+// 推送流只在一个tab中建立，否则每个tab各开一份、消息重复；取消订阅只发给建立该流的tab
+const STREAM_OPEN_METHODS = [METHODS.STREAM_TAP, METHODS.STREAM_SUBSCRIBE];
+// 页面返回的流id -> tabId
+const streamTabs = new Map();
+
+// 自动打开的代理tab，保存在 storage.session 中以便 worker 重启后识别
+let proxyTabId = null;
+let ensuringTab = false;
+let tabCheckTimer = null;
+
 function log(msg, type = 'info') {
   const prefix = '[VAR-BG]';
   if (type === 'error') {
@@ -52,7 +96,7 @@ function startPingPong() {
 
     // 发送ping
     try {
-      ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
+      ws.send(JSON.stringify({ type: MESSAGE_TYPES.PING, timestamp: Date.now() }));
       log('发送ping');
     } catch (e) {
       log(`发送ping失败: ${e.message}`, 'error');
@@ -74,11 +118,127 @@ function startPingPong() {
   }, PING_INTERVAL);
 }
 
+// HMAC-SHA256(密钥, 随机数)，与服务端 signChallenge 一致
+async function signChallenge(nonce) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(settings.bridgeToken), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+  return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isConnected() {
+  return !!ws && ws.readyState === WebSocket.OPEN && authenticated;
+}
+
+function getServerUrl() {
+  return settings.serverUrls[serverIndex % settings.serverUrls.length];
+}
+
+function recordRpcResponse(msg) {
+  if (!msg.error) {
+    stats.rpcSuccesses++;
+    return;
+  }
+  stats.rpcFailures++;
+  stats.recentErrors.unshift({ time: Date.now(), id: msg.id, code: msg.code || null, error: msg.error });
+  stats.recentErrors.length = Math.min(stats.recentErrors.length, MAX_RECENT_ERRORS);
+}
+
+function trackDispatch(msg, tabIds) {
+  releaseDispatch(msg.id);
+  const timer = setTimeout(() => dispatchedRpcs.delete(msg.id), (msg.timeout || 0) + DISPATCH_GRACE);
+  dispatchedRpcs.set(msg.id, { tabs: new Set(tabIds), responder: null, method: msg.method, timer });
+}
+
+function releaseDispatch(id) {
+  const entry = dispatchedRpcs.get(id);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  dispatchedRpcs.delete(id);
+}
+
+function clearDispatches() {
+  dispatchedRpcs.forEach(entry => clearTimeout(entry.timer));
+  dispatchedRpcs.clear();
+  // 与服务器断开时页面会关闭所有流
+  streamTabs.clear();
+}
+
+/**
+ * 选择接收RPC请求的tab：建立推送流只发给代理tab（没有时取第一个已注册的tab），
+ * 取消订阅发给建立该流的tab，其余请求发给所有tab并采用最先回复的结果
+ * @param {Object} msg - rpc_request
+ * @returns {Array<number>} tabId 列表
+ */
+function selectRpcTabs(msg) {
+  const tabIds = Array.from(connectedTabs.keys());
+  if (STREAM_OPEN_METHODS.includes(msg.method)) {
+    const tabId = connectedTabs.has(proxyTabId) ? proxyTabId : tabIds[0];
+    return tabId === undefined ? [] : [tabId];
+  }
+  if (msg.method === METHODS.STREAM_UNSUBSCRIBE) {
+    const owner = streamTabs.get(msg.params?.streamId);
+    streamTabs.delete(msg.params?.streamId);
+    // worker 重启后不知道流所在的tab，流id在各页面间唯一，发给所有tab也只有所在的tab会关闭
+    if (connectedTabs.has(owner)) return [owner];
+  }
+  return tabIds;
+}
+
+// 记录新建推送流所在的tab，流关闭后移除
+function trackStream(data, tabId) {
+  if (data.type === MESSAGE_TYPES.STREAM_CLOSED) {
+    streamTabs.delete(data.streamId);
+    return;
+  }
+  const entry = dispatchedRpcs.get(data.id);
+  if (data.type === MESSAGE_TYPES.RPC_RESPONSE && STREAM_OPEN_METHODS.includes(entry?.method) && data.result?.streamId !== undefined) {
+    streamTabs.set(data.result.streamId, tabId);
+  }
+}
+
+/**
+ * 校验页面发来的RPC结果：id 必须是本 background 转发过且尚未完成的请求，且来自收到请求的tab
+ * @param {Object} data - rpc_response 或 rpc_chunk
+ * @param {number} tabId - 发送结果的tab
+ * @returns {boolean}
+ */
+function acceptRpcResult(data, tabId) {
+  const entry = dispatchedRpcs.get(data.id);
+  if (!entry || !entry.tabs.has(tabId)) return false;
+  if (entry.responder !== null && entry.responder !== tabId) return false;
+  entry.responder = tabId;
+  return true;
+}
+
+function handleAuthenticated() {
+  authenticated = true;
+  connectionState = 'connected';
+  stats.connectedAt = Date.now();
+  log('认证通过，已连接到本地服务器');
+  reconnectAttempts = 0;
+  // 启动ping/pong保活
+  startPingPong();
+  // 通知所有已连接的tab
+  broadcastToTabs({ type: 'ws_status', connected: true });
+  // 认证前注册的tab补发ready
+  connectedTabs.forEach(({ domain }, tabId) => sendToServer({ type: MESSAGE_TYPES.READY, domain, tabId }));
+}
+
 function connect() {
-  log(`正在连接 ${WS_URL}...`);
+  if (!settings.bridgeToken) {
+    connectionState = 'no_token';
+    log('未设置连接密钥，请在插件选项页中填写与本地服务器 bridgeToken 相同的值', 'warn');
+    return;
+  }
+  const url = getServerUrl();
+  connectionState = 'connecting';
+  log(`正在连接 ${url}...`);
 
   try {
-    ws = new WebSocket(WS_URL);
+    ws = new WebSocket(url);
   } catch (e) {
     log(`创建WebSocket失败: ${e.message}`, 'error');
     tryReconnect();
@@ -86,27 +246,37 @@ function connect() {
   }
 
   ws.onopen = () => {
-    log('已连接到本地服务器');
-    reconnectAttempts = 0;
-    // 启动ping/pong保活
-    startPingPong();
-    // 通知所有已连接的tab
-    broadcastToTabs({ type: 'ws_status', connected: true });
+    connectionState = 'authenticating';
+    log('已连接到本地服务器，等待认证');
   };
 
-  ws.onmessage = (event) => {
+  ws.onmessage = async (event) => {
     try {
       const msg = JSON.parse(event.data);
 
+      if (msg.type === MESSAGE_TYPES.AUTH_CHALLENGE) {
+        const socket = ws;
+        const signature = await signChallenge(msg.nonce);
+        socket.send(JSON.stringify({ type: MESSAGE_TYPES.AUTH, signature, client: 'extension' }));
+        return;
+      }
+
+      if (msg.type === MESSAGE_TYPES.AUTH_OK) {
+        handleAuthenticated();
+        return;
+      }
+
+      if (!authenticated) return;
+
       // 处理ping/pong
-      if (msg.type === 'ping') {
+      if (msg.type === MESSAGE_TYPES.PING) {
         // 响应服务端的ping
-        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        ws.send(JSON.stringify({ type: MESSAGE_TYPES.PONG, timestamp: Date.now() }));
         log('收到ping，已响应pong');
         return;
       }
 
-      if (msg.type === 'pong') {
+      if (msg.type === MESSAGE_TYPES.PONG) {
         // 收到服务端对我们ping的响应
         isAlive = true;
         if (pongTimer) {
@@ -117,18 +287,56 @@ function connect() {
         return;
       }
 
+      if (msg.type === MESSAGE_TYPES.RECOVER) {
+        // 由 background 直接处理，不转发给页面
+        recoverVarTab(msg.reason);
+        return;
+      }
+
+      // RPC请求按方法选择tab，其余消息转发给所有连接的tab
+      const tabIds = msg.type === MESSAGE_TYPES.RPC_REQUEST ? selectRpcTabs(msg) : Array.from(connectedTabs.keys());
+      if (msg.type === MESSAGE_TYPES.RPC_REQUEST) {
+        stats.rpcRequests++;
+        trackDispatch(msg, tabIds);
+      }
+
       log(`收到消息: ${msg.type}`);
-      // 将消息转发给所有连接的tab
-      broadcastToTabs({ type: 'from_server', data: msg });
+      sendToTabs(tabIds, { type: 'from_server', data: msg });
+      // 已取消的请求页面不会再回复
+      if (msg.type === MESSAGE_TYPES.RPC_CANCEL) releaseDispatch(msg.id);
     } catch (e) {
       log(`处理消息失败: ${e.message}`, 'error');
     }
   };
 
   ws.onclose = (event) => {
-    log(`连接已断开 (code: ${event.code})`, 'warn');
+    const wasAuthenticated = authenticated;
+    const wasOpen = connectionState !== 'connecting';
+    authenticated = false;
     clearTimers();
-    broadcastToTabs({ type: 'ws_status', connected: false });
+    clearDispatches();
+    lastClose = { time: Date.now(), code: event.code, url: getServerUrl() };
+    if (wasAuthenticated) {
+      broadcastToTabs({ type: 'ws_status', connected: false });
+    }
+    if (event.code === CLOSE_CODES.AUTH_FAILED) {
+      // 密钥错误时重试没有意义，等待选项页修改密钥后再连接
+      connectionState = 'auth_failed';
+      log('认证失败，请检查插件选项页中的连接密钥', 'error');
+      return;
+    }
+    if (event.code === CLOSE_CODES.PROTOCOL_MISMATCH) {
+      // 原因已通过 hello_error 转发到页面控制台，重连仍会失败
+      connectionState = 'protocol_mismatch';
+      log('协议版本与本地服务器不兼容，请更新插件或本地服务器', 'error');
+      return;
+    }
+    log(`连接已断开 (code: ${event.code})`, 'warn');
+    // 连不上当前地址时换下一个，已建立过的连接断开则先重试原地址
+    if (!wasOpen && settings.serverUrls.length > 1) {
+      serverIndex = (serverIndex + 1) % settings.serverUrls.length;
+      log(`切换到服务器 ${getServerUrl()}`, 'warn');
+    }
     tryReconnect();
   };
 
@@ -139,8 +347,10 @@ function connect() {
 
 function tryReconnect() {
   reconnectAttempts++;
-  // 指数退避：3s, 6s, 12s... 最大60秒
-  const delay = Math.min(reconnectDelay * Math.pow(1.5, Math.min(reconnectAttempts - 1, 10)), 60000);
+  connectionState = 'waiting';
+  // 指数退避，默认 3s, 4.5s, 6.75s... 最大60秒
+  const { reconnectDelay, backoffFactor, maxReconnectDelay } = settings;
+  const delay = Math.min(reconnectDelay * Math.pow(backoffFactor, Math.min(reconnectAttempts - 1, 10)), maxReconnectDelay);
 
   if (reconnectAttempts <= maxReconnectAttempts) {
     log(`${(delay/1000).toFixed(1)}秒后重连 (${reconnectAttempts}/${maxReconnectAttempts})...`, 'warn');
@@ -149,20 +359,145 @@ function tryReconnect() {
     log(`${(delay/1000).toFixed(1)}秒后重连 (持续重试中)...`, 'warn');
   }
 
-  setTimeout(connect, delay);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
 }
 
-function broadcastToTabs(message) {
-  connectedTabs.forEach((_, tabId) => {
+/**
+ * 断开当前连接并立即按当前设置重连（设置变更或手动重连）
+ */
+function reconnectNow() {
+  reconnectAttempts = 0;
+  serverIndex = 0;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (ws) {
+    // 旧连接的 onclose 不再触发重连
+    ws.onclose = null;
+    ws.close();
+    ws = null;
+  }
+  if (authenticated) {
+    authenticated = false;
+    clearTimers();
+    clearDispatches();
+    broadcastToTabs({ type: 'ws_status', connected: false });
+  }
+  connect();
+}
+
+/**
+ * 服务端检测到VAR登录失效或人机验证时调用：刷新已打开的VAR页面，没有则在后台新开一个
+ * 人机验证需要用户操作，刷新后把页面切到前台
+ */
+async function recoverVarTab(reason) {
+  try {
+    const [tab] = await chrome.tabs.query({ url: VAR_URL_PATTERN });
+    let action;
+    let tabId;
+    if (tab) {
+      tabId = tab.id;
+      action = 'reload';
+      await chrome.tabs.reload(tabId, { bypassCache: true });
+      if (reason === 'challenge') {
+        await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+      }
+    } else {
+      action = 'open';
+      const created = await chrome.tabs.create({ url: VAR_URL, pinned: true, active: reason === 'challenge' });
+      tabId = created.id;
+      await keepTab(tabId);
+    }
+    log(`VAR页面恢复 (${reason}): ${action} tab ${tabId}`, 'warn');
+    sendToServer({ type: MESSAGE_TYPES.RECOVER_RESULT, reason, action, tabId });
+  } catch (e) {
+    log(`VAR页面恢复失败: ${e.message}`, 'error');
+    sendToServer({ type: MESSAGE_TYPES.RECOVER_RESULT, reason, error: e.message });
+  }
+}
+
+/**
+ * 确认有可用的VAR页面：
+ * 已注册的页面正常时不处理；页面存在但未注册时让它重新注册，无响应（崩溃、被丢弃）则重新加载；
+ * 没有VAR页面时打开固定标签页
+ */
+async function ensureProxyTab(reason) {
+  if (ensuringTab || !settings.bridgeToken) return;
+  ensuringTab = true;
+  try {
+    const tabs = await chrome.tabs.query({ url: VAR_URL_PATTERN });
+    if (tabs.some(tab => connectedTabs.has(tab.id) && !tab.discarded)) return;
+
+    for (const tab of tabs) {
+      if (tab.discarded) continue;
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'register_request' }).catch(() => null);
+      if (response?.alive) return;
+    }
+
+    const tab = tabs.find(t => t.id === proxyTabId) || tabs[0];
+    if (tab) {
+      log(`VAR页面无响应 (${reason})，重新加载 tab ${tab.id}`, 'warn');
+      await chrome.tabs.reload(tab.id);
+      await keepTab(tab.id);
+    } else {
+      const created = await chrome.tabs.create({ url: VAR_URL, pinned: true, active: false });
+      log(`没有VAR页面 (${reason})，已打开固定标签页 ${created.id}`, 'warn');
+      await keepTab(created.id);
+    }
+  } catch (e) {
+    log(`检查VAR页面失败: ${e.message}`, 'error');
+  } finally {
+    ensuringTab = false;
+  }
+}
+
+// 记录代理tab并禁止浏览器在内存紧张时自动丢弃
+async function keepTab(tabId) {
+  proxyTabId = tabId;
+  await chrome.storage.session.set({ proxyTabId: tabId });
+  await chrome.tabs.update(tabId, { autoDiscardable: false });
+}
+
+function scheduleTabCheck(reason) {
+  if (tabCheckTimer) clearTimeout(tabCheckTimer);
+  tabCheckTimer = setTimeout(() => {
+    tabCheckTimer = null;
+    ensureProxyTab(reason);
+  }, TAB_CHECK_DELAY);
+}
+
+// tab关闭、崩溃或刷新时注销，刷新的页面会重新注册，否则稍后补开
+function unregisterTab(tabId, reason) {
+  if (!connectedTabs.has(tabId)) return;
+  connectedTabs.delete(tabId);
+  streamTabs.forEach((owner, streamId) => {
+    if (owner === tabId) streamTabs.delete(streamId);
+  });
+  log(`Tab ${tabId} 已移除 (${reason})`);
+  sendToServer({ type: MESSAGE_TYPES.TAB_CLOSED, tabId });
+  scheduleTabCheck(reason);
+}
+
+function sendToTabs(tabIds, message) {
+  for (const tabId of tabIds) {
     chrome.tabs.sendMessage(tabId, message).catch(() => {
       // tab可能已关闭，移除
       connectedTabs.delete(tabId);
     });
-  });
+  }
+}
+
+function broadcastToTabs(message) {
+  sendToTabs(Array.from(connectedTabs.keys()), message);
 }
 
 function sendToServer(data) {
-  if (ws && ws.readyState === WebSocket.OPEN) {
+  if (isConnected()) {
     ws.send(JSON.stringify(data));
     return true;
   }
@@ -178,35 +513,111 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (tabId) {
       connectedTabs.set(tabId, { domain: message.domain });
       log(`Tab ${tabId} 已注册 (${message.domain})`);
+      chrome.tabs.update(tabId, { autoDiscardable: false }).catch(() => {});
       sendResponse({
         success: true,
-        connected: ws && ws.readyState === WebSocket.OPEN
+        connected: isConnected()
       });
       // 发送ready消息到服务器
-      sendToServer({ type: 'ready', domain: message.domain, tabId });
+      sendToServer({ type: MESSAGE_TYPES.READY, domain: message.domain, tabId });
     }
   } else if (message.type === 'to_server') {
+    const { type, id, seq, total } = message.data || {};
+    const isRpcResult = type === MESSAGE_TYPES.RPC_RESPONSE || type === MESSAGE_TYPES.RPC_CHUNK;
+    if (isRpcResult && !acceptRpcResult(message.data, tabId)) {
+      log(`丢弃未转发过的RPC结果: ${type} #${id} (tab ${tabId})`, 'warn');
+      sendResponse({ success: false, rejected: true });
+      return true;
+    }
+
+    if (message.data) trackStream(message.data, tabId);
     // 转发消息到本地服务器
     const success = sendToServer(message.data);
+    // 分块发送的结果在最后一块计数
+    const isFinal = type === MESSAGE_TYPES.RPC_RESPONSE || (type === MESSAGE_TYPES.RPC_CHUNK && seq === total - 1);
+    if (isFinal) releaseDispatch(id);
+    if (success && isFinal) {
+      recordRpcResponse(message.data);
+    }
     sendResponse({ success });
   } else if (message.type === 'get_status') {
     sendResponse({
-      connected: ws && ws.readyState === WebSocket.OPEN,
-      reconnectAttempts
+      connected: isConnected(),
+      hasToken: !!settings.bridgeToken,
+      reconnectAttempts,
+      state: connectionState,
+      serverUrl: getServerUrl(),
+      lastClose,
+      tabs: Array.from(connectedTabs, ([id, { domain }]) => ({ id, domain, proxy: id === proxyTabId })),
+      stats,
     });
+  } else if (message.type === 'reconnect') {
+    // 弹出页或选项页手动重连
+    log('手动重连');
+    reconnectNow();
+    sendResponse({ success: true });
   }
 
   return true; // 保持sendResponse有效
 });
 
+// content script 的长连接断开说明页面已关闭、崩溃或正在刷新
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'proxy_tab') return;
+  const tabId = port.sender?.tab?.id;
+  port.onDisconnect.addListener(() => unregisterTab(tabId, 'disconnected'));
+});
+
 // tab关闭时清理
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (connectedTabs.has(tabId)) {
-    connectedTabs.delete(tabId);
-    log(`Tab ${tabId} 已移除`);
+  unregisterTab(tabId, 'removed');
+  if (tabId === proxyTabId) {
+    proxyTabId = null;
+    chrome.storage.session.remove('proxyTabId');
+  }
+});
+
+// 页面被丢弃后不再运行脚本，立即重新加载
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.discarded && tab.url?.startsWith(VAR_URL)) {
+    log(`Tab ${tabId} 已被丢弃，重新加载`, 'warn');
+    chrome.tabs.reload(tabId).catch(e => log(`重新加载失败: ${e.message}`, 'error'));
   }
 });
 
-// 启动连接
+// 定时巡检，alarm 可以唤醒已休眠的 service worker
+chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: KEEPALIVE_PERIOD_MINUTES });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== KEEPALIVE_ALARM) return;
+  ensureProxyTab('alarm');
+});
+
+// 选项页修改设置后重连
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  const changed = SETTING_KEYS.filter(key => changes[key]);
+  if (changed.length === 0) return;
+  for (const key of changed) {
+    settings[key] = changes[key].newValue ?? DEFAULT_SETTINGS[key];
+  }
+  log(`设置已更新 (${changed.join(', ')})，重新连接`);
+  reconnectNow();
+  if (changes.bridgeToken) scheduleTabCheck('token');
+});
+
+// 首次安装时打开选项页填写密钥
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  if (reason === 'install') chrome.runtime.openOptionsPage();
+});
+
+// 读取设置后启动连接
 log('Background service worker 已启动');
-connect();
+loadSettings().then((loaded) => {
+  settings = loaded;
+  connect();
+  // 等已打开的页面重新注册后再检查
+  scheduleTabCheck('startup');
+});
+chrome.storage.session.get('proxyTabId').then(({ proxyTabId: tabId }) => {
+  proxyTabId = tabId ?? null;
+});
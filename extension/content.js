@@ -1,10 +1,16 @@
 /**
  * Content Script (ISOLATED world)
  * 作为 inject.js (MAIN world) 和 background.js 之间的消息桥梁
+ * 与 inject.js 之间使用专用的 MessageChannel：页面脚本运行前通过 window.postMessage 把 port2 交给 inject.js，
+ * 之后只处理 port1 上的消息，页面脚本用 window.postMessage 伪造的消息不会被转发到服务器
  */
 
 const MSG_PREFIX = 'VAR_PROXY_';
 
+const channel = new MessageChannel();
+const injectPort = channel.port1;
+window.postMessage({ type: MSG_PREFIX + 'PORT' }, window.location.origin, [channel.port2]);
+
 function log(msg, type = 'info') {
   const styles = {
     info: 'color: #00d4ff',
@@ -15,27 +21,45 @@ function log(msg, type = 'info') {
   console.log(`%c[VAR-Content] ${msg}`, styles[type] || styles.info);
 }
 
+const REREGISTER_DELAY = 1000;
+
 // 注册到background
-chrome.runtime.sendMessage({
-  type: 'register',
-  domain: window.location.hostname
-}).then(response => {
-  log(`已注册到background, WS连接状态: ${response.connected ? '已连接' : '未连接'}`, response.connected ? 'success' : 'warn');
-  // 通知inject.js连接状态
-  window.postMessage({
-    type: MSG_PREFIX + 'STATUS',
-    connected: response.connected
-  }, '*');
-}).catch(e => {
-  log(`注册失败: ${e.message}`, 'error');
-});
+function register() {
+  chrome.runtime.sendMessage({
+    type: 'register',
+    domain: window.location.hostname
+  }).then(response => {
+    log(`已注册到background, WS连接状态: ${response.connected ? '已连接' : '未连接'}`, response.connected ? 'success' : 'warn');
+    // 通知inject.js连接状态
+    injectPort.postMessage({
+      type: 'STATUS',
+      connected: response.connected
+    });
+  }).catch(e => {
+    log(`注册失败: ${e.message}`, 'error');
+  });
+}
 
-// 监听来自inject.js的消息 (postMessage)
-window.addEventListener('message', (event) => {
-  if (event.source !== window) return;
-  if (!event.data?.type?.startsWith(MSG_PREFIX)) return;
+// 保持一个长连接，background 据此发现页面关闭或崩溃；
+// service worker 重启会断开连接并丢失注册信息，此时重新连接并注册
+function connectKeepAlivePort() {
+  const port = chrome.runtime.connect({ name: 'proxy_tab' });
+  port.onDisconnect.addListener(() => {
+    // 插件被更新或卸载后 runtime.id 不可用，不再重连
+    if (!chrome.runtime?.id) return;
+    setTimeout(() => {
+      connectKeepAlivePort();
+      register();
+    }, REREGISTER_DELAY);
+  });
+}
+
+register();
+connectKeepAlivePort();
 
-  const msgType = event.data.type.replace(MSG_PREFIX, '');
+// 监听来自inject.js的消息 (专用端口)
+injectPort.onmessage = (event) => {
+  const msgType = event.data?.type;
 
   if (msgType === 'TO_SERVER') {
     // inject.js -> background -> 本地服务器
@@ -43,7 +67,9 @@ window.addEventListener('message', (event) => {
       type: 'to_server',
       data: event.data.data
     }).then(response => {
-      if (!response.success) {
+      if (response.rejected) {
+        log('发送到服务器失败，background 未转发过该请求', 'error');
+      } else if (!response.success) {
         log('发送到服务器失败，WebSocket未连接', 'error');
       }
     }).catch(e => {
@@ -52,29 +78,33 @@ window.addEventListener('message', (event) => {
   } else if (msgType === 'GET_STATUS') {
     // 查询连接状态
     chrome.runtime.sendMessage({ type: 'get_status' }).then(response => {
-      window.postMessage({
-        type: MSG_PREFIX + 'STATUS',
+      injectPort.postMessage({
+        type: 'STATUS',
         connected: response.connected,
         reconnectAttempts: response.reconnectAttempts
-      }, '*');
+      });
     });
   }
-});
+};
 
 // 监听来自background的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'from_server') {
+  if (message.type === 'register_request') {
+    // background 巡检时发现本页未注册
+    register();
+    sendResponse({ alive: true });
+  } else if (message.type === 'from_server') {
     // 本地服务器 -> background -> inject.js
-    window.postMessage({
-      type: MSG_PREFIX + 'FROM_SERVER',
+    injectPort.postMessage({
+      type: 'FROM_SERVER',
       data: message.data
-    }, '*');
+    });
   } else if (message.type === 'ws_status') {
     // WebSocket状态变化
-    window.postMessage({
-      type: MSG_PREFIX + 'STATUS',
+    injectPort.postMessage({
+      type: 'STATUS',
       connected: message.connected
-    }, '*');
+    });
     log(`WebSocket ${message.connected ? '已连接' : '已断开'}`, message.connected ? 'success' : 'warn');
   }
 });
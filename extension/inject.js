@@ -6,13 +6,51 @@
   'use strict';
 
   // 保存原生WebSocket到window
-  window.__NativeWebSocket__ = WebSocket;
+  const NativeWebSocket = WebSocket;
+  window.__NativeWebSocket__ = NativeWebSocket;
 
   console.log('%c[VAR-Proxy] 原生WebSocket已保存到 window.__NativeWebSocket__', 'color: #50fa7b');
 
   // ========== 代理逻辑 ==========
+  // 协议定义由 manifest 中先于本脚本加载的 protocol.js 提供
+  const { PROTOCOL_VERSION, MESSAGE_TYPES, METHODS, ERROR_CODES, encodeRpcResult } = window.VarProtocol;
   const MSG_PREFIX = 'VAR_PROXY_';
   let connected = false;
+  // content script 转交的专用端口，见 content.js；收到前不收发任何消息
+  let contentPort = null;
+
+  // ========== 页面WebSocket监听 ==========
+  // 页面自己创建的WebSocket，用于 stream_tap 转发其消息
+  const pageSockets = new Set();
+  // streamId -> { kind: 'tap', match } | { kind: 'socket', socket }
+  const streams = new Map();
+  // 流id带上本页面的随机前缀，页面刷新或多个tab时也不会与之前的流重复
+  const streamIdPrefix = crypto.randomUUID().slice(0, 8);
+  let streamCounter = 0;
+
+  function createStreamId() {
+    return `${streamIdPrefix}-${++streamCounter}`;
+  }
+
+  // 用 Proxy 包装构造函数，new、子类 super()、instanceof 和静态常量都与原生一致，只额外登记实例
+  window.WebSocket = new Proxy(NativeWebSocket, {
+    construct(target, args, newTarget) {
+      const socket = Reflect.construct(target, args, newTarget);
+      pageSockets.add(socket);
+      socket.addEventListener('message', (event) => forwardTappedMessage(socket, event.data));
+      socket.addEventListener('close', () => pageSockets.delete(socket));
+      return socket;
+    },
+  });
+
+  function forwardTappedMessage(socket, data) {
+    if (typeof data !== 'string') return;
+    for (const [streamId, stream] of streams) {
+      if (stream.kind === 'tap' && socket.url.includes(stream.match)) {
+        sendToServer({ type: MESSAGE_TYPES.STREAM_MESSAGE, streamId, url: socket.url, data });
+      }
+    }
+  }
 
   function log(msg, type = 'info') {
     const styles = {
@@ -26,81 +64,257 @@
 
   // 发送消息到本地服务器 (通过content script -> background)
   function sendToServer(data) {
-    window.postMessage({
-      type: MSG_PREFIX + 'TO_SERVER',
+    contentPort?.postMessage({
+      type: 'TO_SERVER',
       data: data
-    }, '*');
+    });
+  }
+
+  // 较大的结果分块发送，块之间让出事件循环，避免一次占满 background 的消息通道
+  async function sendResult(id, result) {
+    const messages = await encodeRpcResult(id, result);
+    for (let i = 0; i < messages.length; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, 0));
+      sendToServer(messages[i]);
+    }
   }
 
   // 查询连接状态
   function getStatus() {
-    window.postMessage({
-      type: MSG_PREFIX + 'GET_STATUS'
-    }, '*');
+    contentPort?.postMessage({
+      type: 'GET_STATUS'
+    });
+  }
+
+  // 处理中的请求 id -> AbortController，用于超时和服务端取消
+  const inFlight = new Map();
+
+  // 本脚本实现的RPC方法，signal 在超时或取消时触发
+  const rpcHandlers = {
+    [METHODS.FETCH]: (params, signal) => doFetch(params.url, params.options, signal),
+    [METHODS.STREAM_TAP]: params => tapStream(params),
+    [METHODS.STREAM_SUBSCRIBE]: params => subscribeStream(params),
+    [METHODS.STREAM_UNSUBSCRIBE]: params => unsubscribeStream(params),
+  };
+
+  // 连接建立后声明协议版本和支持的方法
+  function sendHello() {
+    sendToServer({
+      type: MESSAGE_TYPES.HELLO,
+      version: PROTOCOL_VERSION,
+      methods: Object.keys(rpcHandlers),
+      client: 'extension',
+    });
   }
 
   // 处理来自服务器的消息
   function handleServerMessage(msg) {
-    if (msg.type === 'rpc_request') {
+    if (msg.type === MESSAGE_TYPES.RPC_REQUEST) {
       handleRpcRequest(msg);
-    } else if (msg.type === 'ping') {
-      sendToServer({ type: 'pong' });
+    } else if (msg.type === MESSAGE_TYPES.RPC_CANCEL) {
+      inFlight.get(msg.id)?.abort(rpcError(ERROR_CODES.CANCELLED, '请求已被服务端取消'));
+    } else if (msg.type === MESSAGE_TYPES.PING) {
+      sendToServer({ type: MESSAGE_TYPES.PONG });
+    } else if (msg.type === MESSAGE_TYPES.HELLO_ACK) {
+      log(`协议协商完成 (服务端 v${msg.version})`, 'success');
+    } else if (msg.type === MESSAGE_TYPES.HELLO_ERROR) {
+      log(`协议不兼容: ${msg.message}`, 'error');
     }
   }
 
+  function rpcError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
   async function handleRpcRequest(msg) {
-    const { id, method, params } = msg;
+    const { id, method, params, timeout } = msg;
+    const controller = new AbortController();
+    inFlight.set(id, controller);
+    const timer = timeout
+      ? setTimeout(() => controller.abort(rpcError(ERROR_CODES.TIMEOUT, `请求超时 (${timeout}ms)`)), timeout)
+      : null;
 
     try {
-      let result;
-      if (method === 'fetch') {
-        result = await doFetch(params.url, params.options);
-      } else {
-        throw new Error(`Unknown method: ${method}`);
+      const handler = rpcHandlers[method];
+      if (!handler) {
+        throw rpcError(ERROR_CODES.UNKNOWN_METHOD, `Unknown method: ${method}`);
       }
+      const result = await handler(params, controller.signal);
 
-      sendToServer({ type: 'rpc_response', id, result });
-      log(`[${id}] ${params.url} - OK`, 'success');
+      await sendResult(id, result);
+      log(`[${id}] ${method} ${params.url || ''} - ${result?.status || 'OK'}`, result?.ok === false ? 'warn' : 'success');
     } catch (e) {
-      sendToServer({ type: 'rpc_response', id, error: e.message });
-      log(`[${id}] ${params.url} - FAIL: ${e.message}`, 'error');
+      // 服务端已取消的请求不再回复
+      if (e.code === ERROR_CODES.CANCELLED) {
+        log(`[${id}] ${method} ${params.url || ''} - 已取消`, 'warn');
+        return;
+      }
+      sendToServer({ type: MESSAGE_TYPES.RPC_RESPONSE, id, error: e.message, code: e.code });
+      log(`[${id}] ${method} ${params.url || ''} - FAIL: ${e.message}`, 'error');
+    } finally {
+      clearTimeout(timer);
+      inFlight.delete(id);
     }
   }
 
-  async function doFetch(url, options = {}) {
-    const resp = await fetch(url, {
-      method: options.method || 'GET',
-      headers: { 'Accept': 'application/json, text/plain, */*', ...options.headers },
-      credentials: 'same-origin',
-      ...(options.body && { body: options.body })
+  /**
+   * 转发页面已有及之后创建的、URL包含 match 的WebSocket消息
+   */
+  function tapStream({ match }) {
+    if (!match) throw new Error('stream_tap 缺少 match 参数');
+    const streamId = createStreamId();
+    streams.set(streamId, { kind: 'tap', match });
+    const sockets = Array.from(pageSockets).filter(socket => socket.url.includes(match)).length;
+    log(`[stream ${streamId}] 监听页面WebSocket: ${match} (当前 ${sockets} 个)`, 'success');
+    return { streamId, sockets };
+  }
+
+  /**
+   * 用原生WebSocket打开新连接，连接成功后发送订阅消息并转发所有推送
+   */
+  function subscribeStream({ url, messages = [] }) {
+    return new Promise((resolve, reject) => {
+      const streamId = createStreamId();
+      const socket = new NativeWebSocket(url);
+      let opened = false;
+
+      socket.addEventListener('open', () => {
+        opened = true;
+        streams.set(streamId, { kind: 'socket', socket });
+        messages.forEach(message => socket.send(typeof message === 'string' ? message : JSON.stringify(message)));
+        log(`[stream ${streamId}] 已订阅: ${url}`, 'success');
+        resolve({ streamId });
+      });
+      socket.addEventListener('message', (event) => {
+        if (typeof event.data === 'string') {
+          sendToServer({ type: MESSAGE_TYPES.STREAM_MESSAGE, streamId, url, data: event.data });
+        }
+      });
+      socket.addEventListener('close', (event) => {
+        if (!opened) {
+          reject(new Error(`WebSocket 连接失败: ${url}`));
+          return;
+        }
+        streams.delete(streamId);
+        sendToServer({ type: MESSAGE_TYPES.STREAM_CLOSED, streamId, code: event.code });
+        log(`[stream ${streamId}] 连接已关闭 (code: ${event.code})`, 'warn');
+      });
     });
+  }
 
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  function closeAllStreams() {
+    for (const streamId of Array.from(streams.keys())) {
+      unsubscribeStream({ streamId });
+    }
+  }
 
-    const ct = resp.headers.get('content-type') || '';
-    return ct.includes('application/json') ? resp.json() : resp.text();
+  function unsubscribeStream({ streamId }) {
+    const stream = streams.get(streamId);
+    if (!stream) return { closed: false };
+    streams.delete(streamId);
+    if (stream.kind === 'socket') stream.socket.close();
+    return { closed: true };
   }
 
-  // 监听来自content script的消息
+  // 对象形式的 body 按 JSON 发送，未指定 Content-Type 时自动补上
+  function buildRequest(options, signal) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { 'Accept': 'application/json, text/plain, */*', ...options.headers };
+    let body = options.body;
+
+    if (body !== undefined && body !== null) {
+      if (method === 'GET' || method === 'HEAD') {
+        throw rpcError(ERROR_CODES.INVALID_REQUEST, `${method} 请求不能带 body`);
+      }
+      if (typeof body !== 'string') {
+        body = JSON.stringify(body);
+        if (!Object.keys(headers).some(key => key.toLowerCase() === 'content-type')) {
+          headers['Content-Type'] = 'application/json';
+        }
+      }
+    }
+
+    return { method, headers, body, credentials: options.credentials || 'same-origin', signal };
+  }
+
+  /**
+   * 发起请求并返回完整响应（格式见 protocol.js），非 2xx 也正常返回，由服务端分类
+   * signal 中止时 fetch 以 signal.reason（带 code 的错误）拒绝
+   */
+  async function doFetch(url, options = {}, signal) {
+    const request = buildRequest(options, signal);
+    const startedAt = Date.now();
+
+    let resp, text;
+    try {
+      resp = await fetch(url, request);
+      text = await resp.text();
+    } catch (e) {
+      if (e.code) throw e;
+      throw rpcError(ERROR_CODES.NETWORK_ERROR, e.message);
+    }
+
+    const headers = Object.fromEntries(resp.headers.entries());
+    let body = text;
+    let bodyType = 'text';
+    if ((headers['content-type'] || '').includes('json')) {
+      try {
+        body = JSON.parse(text);
+        bodyType = 'json';
+      } catch {
+        // 声明为JSON但无法解析（如错误页），按文本返回
+      }
+    }
+
+    return {
+      ok: resp.ok,
+      status: resp.status,
+      statusText: resp.statusText,
+      url: resp.url,
+      redirected: resp.redirected,
+      headers,
+      bodyType,
+      body,
+      timing: { startedAt, durationMs: Date.now() - startedAt },
+    };
+  }
+
+  // 接收 content script 的专用端口。本脚本先于页面脚本运行，捕获阶段的监听器最先触发，
+  // 阻止传播后页面脚本拿不到端口；只接受第一个端口，之后的同类消息一律丢弃
   window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (!event.data?.type?.startsWith(MSG_PREFIX)) return;
+    if (event.source !== window || event.data?.type !== MSG_PREFIX + 'PORT') return;
+    event.stopImmediatePropagation();
+    if (contentPort || !event.ports[0]) return;
+    contentPort = event.ports[0];
+    contentPort.onmessage = handleContentMessage;
+  }, true);
 
-    const msgType = event.data.type.replace(MSG_PREFIX, '');
+  // 处理来自content script的消息
+  function handleContentMessage(event) {
+    const msgType = event.data?.type;
 
     if (msgType === 'FROM_SERVER') {
       // 收到服务器消息
       handleServerMessage(event.data.data);
     } else if (msgType === 'STATUS') {
       // 连接状态更新
+      const wasConnected = connected;
       connected = event.data.connected;
       log(`连接状态: ${connected ? '已连接' : '未连接'}`, connected ? 'success' : 'warn');
+      if (connected && !wasConnected) {
+        sendHello();
+      } else if (!connected) {
+        // 与服务器断开后订阅和处理中的请求失效，重连后由服务器重新发起
+        closeAllStreams();
+        inFlight.forEach(controller => controller.abort(rpcError(ERROR_CODES.CANCELLED, '与服务器断开')));
+      }
     }
-  });
+  }
 
-  // 暴露控制接口
+  // 暴露控制接口，不提供发送方法，页面脚本无法经由本脚本向服务器发送消息
   window.__varProxy = {
-    send: sendToServer,
     getStatus: () => {
       getStatus();
       return connected;
@@ -0,0 +1,75 @@
+/**
+ * 选项页 - 设置服务器地址、连接密钥和重连策略
+ * 设置保存在 chrome.storage.local，background 监听变化后重连
+ */
+const { DEFAULT_SETTINGS, loadSettings, validateSettings } = globalThis.VarSettings;
+
+const fields = {
+  token: document.getElementById('token'),
+  serverUrls: document.getElementById('server-urls'),
+  reconnectDelay: document.getElementById('reconnect-delay'),
+  maxReconnectDelay: document.getElementById('max-reconnect-delay'),
+  backoffFactor: document.getElementById('backoff-factor'),
+};
+const statusEl = document.getElementById('status');
+const connectionEl = document.getElementById('connection');
+
+function showStatus(text, isError = false) {
+  statusEl.style.color = isError ? '#c62828' : '#2e7d32';
+  statusEl.textContent = text;
+  if (!isError) setTimeout(() => { statusEl.textContent = ''; }, 2000);
+}
+
+// 间隔在页面上以秒显示，保存为毫秒
+function fillForm(settings) {
+  fields.token.value = settings.bridgeToken;
+  fields.serverUrls.value = settings.serverUrls.join('\n');
+  fields.reconnectDelay.value = settings.reconnectDelay / 1000;
+  fields.maxReconnectDelay.value = settings.maxReconnectDelay / 1000;
+  fields.backoffFactor.value = settings.backoffFactor;
+}
+
+function readForm() {
+  return {
+    bridgeToken: fields.token.value.trim(),
+    serverUrls: fields.serverUrls.value.split('\n').map(url => url.trim()).filter(Boolean),
+    reconnectDelay: Math.round(parseFloat(fields.reconnectDelay.value) * 1000),
+    maxReconnectDelay: Math.round(parseFloat(fields.maxReconnectDelay.value) * 1000),
+    backoffFactor: parseFloat(fields.backoffFactor.value),
+  };
+}
+
+async function refreshConnection() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'get_status' });
+    connectionEl.textContent = `当前状态: ${status.state}，服务器 ${status.serverUrl}`;
+  } catch (e) {
+    connectionEl.textContent = '';
+  }
+}
+
+loadSettings().then(fillForm);
+refreshConnection();
+setInterval(refreshConnection, 2000);
+
+document.getElementById('save').addEventListener('click', async () => {
+  const settings = readForm();
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    showStatus(errors.join('\n'), true);
+    return;
+  }
+  await chrome.storage.local.set(settings);
+  showStatus('已保存，正在重新连接');
+});
+
+document.getElementById('reset').addEventListener('click', () => {
+  // 密钥保留，其余恢复默认值，需点击保存生效
+  fillForm({ ...DEFAULT_SETTINGS, bridgeToken: fields.token.value.trim() });
+});
+
+document.getElementById('reconnect').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'reconnect' });
+  showStatus('正在重新连接');
+  refreshConnection();
+});
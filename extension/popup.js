@@ -0,0 +1,84 @@
+/**
+ * 弹出页 - 显示 background 的连接状态、已注册页面和RPC统计
+ * 打开期间每秒通过 get_status 刷新
+ */
+const STATE_LABELS = {
+  no_token: ['未设置连接密钥', 'error'],
+  connecting: ['正在连接', 'warn'],
+  authenticating: ['等待认证', 'warn'],
+  connected: ['已连接', 'ok'],
+  waiting: ['等待重连', 'warn'],
+  auth_failed: ['认证失败，请检查密钥', 'error'],
+  protocol_mismatch: ['协议版本不兼容', 'error'],
+};
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('zh-CN', { hour12: false });
+}
+
+function renderTabs(tabs) {
+  const container = document.getElementById('tabs');
+  container.className = tabs.length === 0 ? 'empty' : '';
+  container.textContent = tabs.length === 0
+    ? '无'
+    : tabs.map(tab => `#${tab.id} ${tab.domain}${tab.proxy ? '（自动打开）' : ''}`).join('\n');
+}
+
+function renderErrors(errors) {
+  const list = document.getElementById('errors');
+  list.replaceChildren();
+  if (errors.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'empty';
+    item.textContent = '无';
+    list.appendChild(item);
+    return;
+  }
+  for (const { time, code, error } of errors) {
+    const item = document.createElement('li');
+    const timeEl = document.createElement('span');
+    timeEl.className = 'time';
+    timeEl.textContent = formatTime(time) + ' ';
+    item.append(timeEl, code ? `[${code}] ${error}` : error);
+    list.appendChild(item);
+  }
+}
+
+async function refresh() {
+  let status;
+  try {
+    status = await chrome.runtime.sendMessage({ type: 'get_status' });
+  } catch (e) {
+    document.getElementById('state').textContent = `无法获取状态: ${e.message}`;
+    return;
+  }
+
+  const [label, level] = STATE_LABELS[status.state] || [status.state, 'warn'];
+  const stateEl = document.getElementById('state');
+  stateEl.textContent = label;
+  stateEl.className = `state ${level}`;
+  document.getElementById('server').textContent = status.serverUrl;
+  document.getElementById('attempts').textContent = status.reconnectAttempts;
+  document.getElementById('last-close').textContent = status.lastClose
+    ? `${formatTime(status.lastClose.time)} (code: ${status.lastClose.code})`
+    : '-';
+
+  renderTabs(status.tabs);
+
+  const { rpcRequests, rpcSuccesses, rpcFailures, recentErrors } = status.stats;
+  document.getElementById('rpc-requests').textContent = rpcRequests;
+  document.getElementById('rpc-results').textContent = `${rpcSuccesses} / ${rpcFailures}`;
+  renderErrors(recentErrors);
+}
+
+document.getElementById('reconnect').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'reconnect' });
+  refresh();
+});
+
+document.getElementById('options').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+refresh();
+setInterval(refresh, 1000);
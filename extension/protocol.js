@@ -0,0 +1,169 @@
+/**
+ * 浏览器代理通信协议定义
+ * 本地服务器 (src/wsServer.js)、插件 (background.js / inject.js) 和控制台注入脚本共用同一份定义，
+ * 以普通脚本形式挂到 globalThis.VarProtocol：
+ *   - Node 通过 src/protocol.js 导入
+ *   - 插件 background 通过 importScripts、页面通过 content_scripts 加载
+ *   - 控制台注入脚本由 build-injector.js 打包进 dist/inject.console.js
+ *
+ * 握手流程: auth_challenge -> auth -> auth_ok -> hello -> hello_ack
+ * hello 声明协议版本和支持的RPC方法，版本不兼容时服务端回复 hello_error 并断开。
+ * 修改消息格式时递增 PROTOCOL_VERSION；旧版客户端无法兼容时同时提高 MIN_PROTOCOL_VERSION。
+ *
+ * 版本记录:
+ *   2 - 认证握手、hello 协商
+ *   3 - rpc_request 携带 timeout 由浏览器端中止，新增 rpc_cancel（v2 客户端忽略，仅由服务端超时兜底）
+ *   4 - fetch 返回完整响应（格式见 ERROR_CODES 下方说明），非 2xx 不再作为错误；错误回复带 code
+ *   5 - auth 携带 client 类型，新增 recover / recover_result（由插件 background 处理，v4 客户端忽略）
+ *   6 - 较大的RPC结果压缩后分块发送 (rpc_chunk)，由服务端重组
+ */
+(function(root) {
+  'use strict';
+
+  const PROTOCOL_VERSION = 6;
+  // v4 修改了 fetch 的返回格式，旧版客户端不兼容
+  const MIN_PROTOCOL_VERSION = 4;
+
+  const MESSAGE_TYPES = Object.freeze({
+    AUTH_CHALLENGE: 'auth_challenge', // 服务端 -> 客户端 { nonce }
+    AUTH: 'auth',                     // 客户端 -> 服务端 { signature, client }
+    AUTH_OK: 'auth_ok',               // 服务端 -> 客户端
+    HELLO: 'hello',                   // 客户端 -> 服务端 { version, methods, client }
+    HELLO_ACK: 'hello_ack',           // 服务端 -> 客户端 { version }
+    HELLO_ERROR: 'hello_error',       // 服务端 -> 客户端 { code, message, version, minVersion }
+    READY: 'ready',                   // 客户端 -> 服务端 { domain, tabId }
+    TAB_CLOSED: 'tab_closed',         // 客户端 -> 服务端 { tabId }
+    RPC_REQUEST: 'rpc_request',       // 服务端 -> 客户端 { id, method, params, timeout }
+    RPC_RESPONSE: 'rpc_response',     // 客户端 -> 服务端 { id, result } | { id, error, code }
+    RPC_CANCEL: 'rpc_cancel',         // 服务端 -> 客户端 { id }，中止请求且不再回复
+    RPC_CHUNK: 'rpc_chunk',           // 客户端 -> 服务端 { id, seq, total, encoding, data }，代替 rpc_response 发送较大的结果
+    STREAM_MESSAGE: 'stream_message', // 客户端 -> 服务端 { streamId, url, data }
+    STREAM_CLOSED: 'stream_closed',   // 客户端 -> 服务端 { streamId, code }
+    RECOVER: 'recover',               // 服务端 -> 插件 { reason }，刷新或重新打开 VAR 页面
+    RECOVER_RESULT: 'recover_result', // 插件 -> 服务端 { reason, action, tabId, error }
+    PING: 'ping',
+    PONG: 'pong',
+  });
+
+  const METHODS = Object.freeze({
+    FETCH: 'fetch',
+    STREAM_TAP: 'stream_tap',
+    STREAM_SUBSCRIBE: 'stream_subscribe',
+    STREAM_UNSUBSCRIBE: 'stream_unsubscribe',
+  });
+
+  const ERROR_CODES = Object.freeze({
+    UNKNOWN_METHOD: 'UNKNOWN_METHOD',         // 客户端收到未实现的方法
+    METHOD_UNSUPPORTED: 'METHOD_UNSUPPORTED', // 没有已连接的客户端声明支持该方法
+    PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+    TIMEOUT: 'TIMEOUT',                       // 超过 rpc_request.timeout
+    CANCELLED: 'CANCELLED',                   // 调用方取消
+    NETWORK_ERROR: 'NETWORK_ERROR',           // fetch 未拿到响应（断网、CORS、DNS 等）
+    INVALID_REQUEST: 'INVALID_REQUEST',       // 请求参数无法构造 fetch（如 GET 带 body）
+    // 以下由服务端 browserFetch 根据响应状态分类
+    UNAUTHORIZED: 'UNAUTHORIZED',             // 401
+    FORBIDDEN: 'FORBIDDEN',                   // 403
+    CHALLENGE: 'CHALLENGE',                   // Cloudflare 等人机验证页面
+    RATE_LIMITED: 'RATE_LIMITED',             // 429，错误带 retryAfter（秒）
+    SERVER_ERROR: 'SERVER_ERROR',             // 5xx
+    HTTP_ERROR: 'HTTP_ERROR',                 // 其他非 2xx
+    // 以下由服务端重组分块结果时产生
+    RESPONSE_TOO_LARGE: 'RESPONSE_TOO_LARGE', // 超过服务端 browserMaxResponseSize
+    INVALID_RESPONSE: 'INVALID_RESPONSE',     // 分块无法解压或解析
+  });
+
+  // 结果序列化后超过 CHUNK_THRESHOLD 个字符时分块，每块 data 最多 CHUNK_SIZE 个字符
+  const CHUNK_THRESHOLD = 256 * 1024;
+  const CHUNK_SIZE = 256 * 1024;
+
+  /**
+   * fetch 方法的返回格式（v4 起）:
+   * {
+   *   ok, status, statusText,
+   *   url,          // 重定向后的最终地址
+   *   redirected,
+   *   headers,      // { 小写名称: 值 }，跨域请求只包含允许暴露的头
+   *   bodyType,     // 'json' | 'text'，content-type 为 JSON 且能解析时为 json
+   *   body,
+   *   timing: { startedAt, durationMs }  // 毫秒时间戳和总耗时（含读取响应体）
+   * }
+   * 请求参数 options: { method, headers, body, credentials }，body 为对象时按 JSON 发送
+   */
+
+  // WebSocket 关闭码（4000-4999 为应用自定义）
+  const CLOSE_CODES = Object.freeze({
+    AUTH_FAILED: 4001,
+    PROTOCOL_MISMATCH: 4002,
+  });
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * 把RPC结果编码为待发送的消息
+   * 较小的结果直接返回一条 rpc_response；较大的 JSON 经 gzip（不支持 CompressionStream 时不压缩）
+   * 和 base64 编码后拆成多条 rpc_chunk，服务端收齐后按 encoding 还原成 JSON 再解析
+   * @param {number} id - 请求id
+   * @param {any} result - 处理结果
+   * @returns {Promise<Array<Object>>} 按顺序发送的消息
+   */
+  async function encodeRpcResult(id, result) {
+    const text = JSON.stringify(result);
+    if (text === undefined || text.length <= CHUNK_THRESHOLD) {
+      return [{ type: MESSAGE_TYPES.RPC_RESPONSE, id, result }];
+    }
+
+    let bytes = new TextEncoder().encode(text);
+    let encoding = 'identity';
+    if (typeof CompressionStream === 'function') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      encoding = 'gzip';
+    }
+
+    const data = toBase64(bytes);
+    const total = Math.ceil(data.length / CHUNK_SIZE);
+    return Array.from({ length: total }, (_, seq) => ({
+      type: MESSAGE_TYPES.RPC_CHUNK,
+      id,
+      seq,
+      total,
+      encoding,
+      data: data.slice(seq * CHUNK_SIZE, (seq + 1) * CHUNK_SIZE),
+    }));
+  }
+
+  /**
+   * 检查客户端声明的协议版本
+   * @param {number} version - hello 中的版本号
+   * @returns {string|null} 不兼容时返回原因
+   */
+  function checkVersion(version) {
+    if (!Number.isInteger(version)) {
+      return '未声明协议版本，注入脚本可能已过期';
+    }
+    if (version < MIN_PROTOCOL_VERSION) {
+      return `协议版本 ${version} 过旧，服务端要求 ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}，请更新插件或重新生成注入脚本`;
+    }
+    if (version > PROTOCOL_VERSION) {
+      return `协议版本 ${version} 高于服务端的 ${PROTOCOL_VERSION}，请更新本地服务器`;
+    }
+    return null;
+  }
+
+  root.VarProtocol = Object.freeze({
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MESSAGE_TYPES,
+    METHODS,
+    ERROR_CODES,
+    CLOSE_CODES,
+    checkVersion,
+    encodeRpcResult,
+  });
+})(globalThis);
@@ -0,0 +1,63 @@
+/**
+ * 插件设置定义
+ * background（importScripts）和选项页共用，挂到 globalThis.VarSettings。
+ * 设置保存在 chrome.storage.local，每项一个键；bridgeToken 沿用 1.x 版本的键名。
+ */
+(function(root) {
+  'use strict';
+
+  const DEFAULT_SETTINGS = Object.freeze({
+    bridgeToken: '',
+    // 按顺序尝试，连接失败时切换到下一个
+    serverUrls: ['ws://localhost:8766'],
+    reconnectDelay: 3000,     // 首次重连间隔（毫秒）
+    maxReconnectDelay: 60000, // 指数退避的最大间隔
+    backoffFactor: 1.5,
+  });
+
+  const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+  /**
+   * 读取设置，未保存的项使用默认值
+   * @returns {Promise<Object>}
+   */
+  async function loadSettings() {
+    const stored = await chrome.storage.local.get(SETTING_KEYS);
+    return { ...DEFAULT_SETTINGS, ...stored };
+  }
+
+  /**
+   * 校验设置
+   * @param {Object} settings - 待保存的设置
+   * @returns {Array<string>} 错误信息，为空表示有效
+   */
+  function validateSettings(settings) {
+    const errors = [];
+    if (settings.bridgeToken.length < 16) {
+      errors.push('连接密钥长度不能小于16位');
+    }
+    if (settings.serverUrls.length === 0) {
+      errors.push('至少填写一个服务器地址');
+    }
+    for (const url of settings.serverUrls) {
+      if (!/^wss?:\/\/[^/\s]+/.test(url)) errors.push(`服务器地址必须以 ws:// 或 wss:// 开头: ${url}`);
+    }
+    if (!(settings.reconnectDelay >= 500)) {
+      errors.push('重连间隔不能小于 0.5 秒');
+    }
+    if (!(settings.maxReconnectDelay >= settings.reconnectDelay)) {
+      errors.push('最大重连间隔不能小于重连间隔');
+    }
+    if (!(settings.backoffFactor >= 1)) {
+      errors.push('退避倍数不能小于 1');
+    }
+    return errors;
+  }
+
+  root.VarSettings = Object.freeze({
+    DEFAULT_SETTINGS,
+    SETTING_KEYS,
+    loadSettings,
+    validateSettings,
+  });
+})(globalThis);
@@ -1,6 +1,6 @@
 import { createServer } from 'http';
-import { browserFetch, waitForBrowser, isBrowserConnected } from './wsServer.js';
-import { fetchJsonCurl } from './httpClient.js';
+import { browserFetch, waitForBrowser, isBrowserConnected, getBrowserClients, startServer, PRIORITY } from './wsServer.js';
+import { getHedgeAdapters, fetchVenueRates } from './exchanges/index.js';
 import {
   to8HourRate,
   toAnnualRate,
@@ -8,7 +8,20 @@ import {
   getTimeToFunding,
   generateArbitrageTimeline,
 } from './fundingUtils.js';
-import { startBot, checkAndNotify, setOpportunitiesGetter } from './bot.js';
+import { startBot, checkAndNotify, setOpportunitiesGetter, notifyAdmin } from './bot.js';
+import { appendSnapshot } from './historyStore.js';
+import { getRoundTripCost } from './costModel.js';
+import { attachCachedLiquidity, refreshLiquidity } from './liquidity.js';
+import { config } from './config.js';
+import { queryOpportunities, findOpportunity, listSymbols, decodeSymbolParam } from './opportunityQuery.js';
+import { diffOpportunities } from './opportunityDiff.js';
+import { createCounter, createGauge, createHistogram, renderMetrics } from './metrics.js';
+import { resolveInstrument } from './symbolRegistry.js';
+import { startBinanceStream } from './binanceStream.js';
+import { startVarStream, applyVarStreamUpdates, onVarStreamUpdate } from './varStream.js';
+import { ERROR_CODES } from './protocol.js';
+import { reportVarFailure, reportVarSuccess, getVarSession, onVarSessionChange, SESSION_STATUS } from './varSession.js';
+import { getPortfolio, getCachedPortfolio } from './portfolio.js';
 
 // 全局错误处理 - 防止进程崩溃
 process.on('uncaughtException', (err) => {
@@ -31,19 +44,87 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-const HTTP_PORT = 10241;
+const HTTP_PORT = config.httpPort;
 const VAR_API = 'https://omni.variational.io/api/metadata/supported_assets';
-const BINANCE_API = 'https://fapi.binance.com/fapi/v1/premiumIndex';
 
 let cachedData = null;
 let lastFetchTime = 0;
-const CACHE_TTL = 30000;
-const AUTO_REFRESH_INTERVAL = 5 * 60 * 1000; // 5分钟自动刷新
+let cacheUpdatedAt = null; // 缓存数据生成时间，不受强制刷新重置影响
+const CACHE_TTL = config.cacheTtl;
+const AUTO_REFRESH_INTERVAL = config.autoRefreshInterval;
+const RATE_LIMIT_MAX_WAIT = 30000; // VAR 限流时单次最长等待
 
 let lastVarRefreshTime = null;
-let lastBinanceRefreshTime = null;
+// 最近一次轮询的原始数据 { varAssets, availableAdapters, venueRateMaps }
+let lastPollInputs = null;
+// 各对冲交易所最后刷新时间 venueId -> Date
+const lastVenueRefreshTimes = {};
+
+// SSE 推送订阅者
+const streamClients = new Set();
+const STREAM_HEARTBEAT_INTERVAL = 25000; // 定期发送注释行，防止代理断开空闲连接
+
+// 监控指标
+const refreshDuration = createHistogram('refresh_duration_seconds', '各数据源拉取耗时，source=total 为整轮刷新');
+const refreshFailures = createCounter('refresh_failures_total', '各数据源拉取失败次数');
+createGauge('refresh_last_success_timestamp_seconds', '各数据源最后一次成功拉取的时间', {
+  collect: gauge => {
+    if (lastVarRefreshTime) gauge.set({ source: 'var' }, lastVarRefreshTime.getTime() / 1000);
+    for (const [venue, time] of Object.entries(lastVenueRefreshTimes)) {
+      gauge.set({ source: venue }, time.getTime() / 1000);
+    }
+  },
+});
+createGauge('cache_age_seconds', '当前缓存数据距生成的时间', {
+  collect: gauge => {
+    if (cacheUpdatedAt) gauge.set({}, (Date.now() - cacheUpdatedAt) / 1000);
+  },
+});
+createGauge('opportunities', '各方向的交易对数量', {
+  collect: gauge => {
+    for (const direction of ['SHORT_VAR', 'SHORT_HEDGE', 'NONE']) {
+      gauge.set({ direction }, (cachedData || []).filter(o => o.direction === direction).length);
+    }
+  },
+});
+createGauge('top_daily_profit_usdt', '最高日收益（未扣成本）', {
+  collect: gauge => {
+    const profits = (cachedData || []).filter(o => o.direction !== 'NONE').map(o => o.dailyProfit);
+    gauge.set({}, profits.length > 0 ? Math.max(...profits) : 0);
+  },
+});
+createGauge('stream_clients', 'SSE 推送订阅者数量', {
+  collect: gauge => gauge.set({}, streamClients.size),
+});
 
-async function getVariationalAssets(maxRetries = 3) {
+/**
+ * 记录单个数据源的拉取耗时和失败次数
+ * @param {string} source - 数据源，var 或交易所id
+ * @param {Promise} promise - 拉取任务
+ * @returns {Promise} 原任务结果
+ */
+function trackRefresh(source, promise) {
+  const endTimer = refreshDuration.startTimer({ source });
+  return promise.then(
+    result => {
+      endTimer();
+      return result;
+    },
+    err => {
+      endTimer();
+      refreshFailures.inc({ source });
+      throw err;
+    }
+  );
+}
+
+/**
+ * 通过浏览器代理拉取 VAR 永续资产
+ * @param {number} maxRetries - 最大尝试次数
+ * @param {number} priority - 浏览器请求排队优先级，定时刷新为 PRIORITY.HIGH
+ * @returns {Promise<Array<Object>>} 资产列表
+ */
+async function getVariationalAssets(maxRetries = 3, priority = PRIORITY.NORMAL) {
   let lastError;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -52,7 +133,7 @@ async function getVariationalAssets(maxRetries = 3) {
         await waitForBrowser();
         console.log('[VAR] 浏览器已重连');
       }
-      const allAssets = await browserFetch(VAR_API);
+      const allAssets = await browserFetch(VAR_API, { priority });
       const perpAssets = [];
 
       if (!allAssets || typeof allAssets !== 'object') {
@@ -63,15 +144,17 @@ async function getVariationalAssets(maxRetries = 3) {
         if (!Array.isArray(assets)) continue;
         for (const asset of assets) {
           try {
-            if (asset.has_perp && !asset.is_close_only_mode) {
+            // 按注册表映射到基础币种，被手动排除的跳过
+            const resolved = resolveInstrument('var', asset.asset || symbol);
+            if (resolved && asset.has_perp && !asset.is_close_only_mode) {
               const annualRate = parseFloat(asset.funding_rate) * 100 || 0;
               const intervalSeconds = asset.funding_interval_s || 28800;
               const singleRate = annualRate * intervalSeconds / (365 * 24 * 3600);
 
               perpAssets.push({
-                symbol: asset.asset || symbol,
+                symbol: resolved.asset,
                 name: asset.name || symbol,
-                price: parseFloat(asset.price) || 0,
+                price: (parseFloat(asset.price) || 0) / resolved.multiplier,
                 fundingRate: singleRate,
                 fundingIntervalSeconds: intervalSeconds,
                 fundingTime: asset.funding_time || null,
@@ -85,11 +168,21 @@ async function getVariationalAssets(maxRetries = 3) {
       }
 
       lastVarRefreshTime = new Date();
+      reportVarSuccess();
       return perpAssets;
     } catch (err) {
       lastError = err;
       console.log(`[VAR] 请求失败 (${attempt}/${maxRetries}): ${err.message}`);
-      if (attempt < maxRetries) {
+      if (reportVarFailure(err)) {
+        // 登录失效或人机验证，立即重试不会成功，等页面恢复后的下一次刷新
+        break;
+      }
+      if (attempt < maxRetries && err.code === ERROR_CODES.RATE_LIMITED) {
+        // 被限流时按 Retry-After 等待，最多等 RATE_LIMIT_MAX_WAIT
+        const waitMs = Math.min((err.retryAfter ?? 5) * 1000, RATE_LIMIT_MAX_WAIT);
+        console.log(`[VAR] 被限流，${waitMs / 1000}秒后重试`);
+        await new Promise(r => setTimeout(r, waitMs));
+      } else if (attempt < maxRetries) {
         console.log('[VAR] 等待浏览器重连...');
         await waitForBrowser();
       }
@@ -98,66 +191,211 @@ async function getVariationalAssets(maxRetries = 3) {
   throw lastError;
 }
 
-function getBinanceRates(maxRetries = 3) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+/**
+ * 计算 VAR 与单个对冲交易所组成的套利组合
+ * @param {Object} varAsset - VAR资产数据
+ * @param {Object} adapter - 对冲交易所适配器
+ * @param {Object} venueData - 对冲交易所同币种费率数据
+ * @returns {Object} 组合收益数据
+ */
+function buildHedgeCandidate(varAsset, adapter, venueData) {
+  const var8hRate = to8HourRate(varAsset.fundingRate, varAsset.fundingIntervalSeconds);
+  const hedge8hRate = to8HourRate(venueData.fundingRate, venueData.fundingIntervalSeconds);
+
+  const varAnnualRate = toAnnualRate(varAsset.fundingRate, varAsset.fundingIntervalSeconds);
+  const hedgeAnnualRate = toAnnualRate(venueData.fundingRate, venueData.fundingIntervalSeconds);
+
+  const rateDiff = var8hRate - hedge8hRate;
+  const annualDiff = varAnnualRate - hedgeAnnualRate;
+
+  let strategy = '';
+  let direction = '';
+
+  if (rateDiff > config.directionThreshold) {
+    strategy = `VAR空 + ${adapter.name}多`;
+    direction = 'SHORT_VAR';
+  } else if (rateDiff < -config.directionThreshold) {
+    strategy = `${adapter.name}空 + VAR多`;
+    direction = 'SHORT_HEDGE';
+  } else {
+    strategy = '无套利空间';
+    direction = 'NONE';
+  }
+
+  const positionSize = config.positionSize;
+  const { totalCost } = getRoundTripCost(adapter.id);
+  const timeline = generateArbitrageTimeline({
+    varPrice: varAsset.price,
+    hedgePrice: venueData.markPrice,
+    varRate: varAsset.fundingRate,
+    varInterval: varAsset.fundingIntervalSeconds,
+    hedgeRate: venueData.fundingRate,
+    hedgeInterval: venueData.fundingIntervalSeconds,
+    hedgeName: adapter.name,
+    varFundingTime: varAsset.fundingTime,
+    hedgeFundingTime: venueData.fundingTime,
+    direction,
+    simulateDays: 1,
+    roundTripCost: totalCost,
+  });
+
+  // 使用24小时模拟的实际收益来计算日收益
+  const dailyProfit = (positionSize * timeline.finalProfit) / 100;
+  // 扣除开平仓手续费和滑点后的净收益
+  const netDailyProfit = (positionSize * timeline.netProfit) / 100;
+
+  return {
+    hedgeVenue: adapter.id,
+    hedgeName: adapter.name,
+    hedgeInstrument: venueData.instrument,
+    hedgePrice: venueData.markPrice,
+    hedgeRate: venueData.fundingRate,
+    hedgeInterval: venueData.fundingIntervalSeconds,
+    hedge8hRate,
+    hedgeAnnualRate,
+    hedgeFundingTime: venueData.fundingTime,
+    hedgeNextFundingTime: timeline.hedgeNextFundingTime,
+    varNextFundingTime: timeline.varNextFundingTime,
+    var8hRate,
+    varAnnualRate,
+    rateDiff8h: rateDiff,
+    annualDiff,
+    strategy,
+    direction,
+    dailyProfit,
+    netDailyProfit,
+    breakEvenHours: timeline.breakEvenHours,
+    positionSize,
+    timeline,
+  };
+}
+
+/**
+ * 由 VAR 资产和各对冲交易所费率组合出套利机会，按净收益排序
+ * @param {Array<Object>} varAssets - VAR 资产列表
+ * @param {Array<Object>} availableAdapters - 本次获取成功的对冲交易所适配器
+ * @param {Object} venueRateMaps - venueId -> { symbol -> rate }
+ * @returns {Array<Object>} 套利机会列表
+ */
+function buildOpportunities(varAssets, availableAdapters, venueRateMaps) {
+  const opportunities = [];
+
+  for (const varAsset of varAssets) {
     try {
-      const fundingInfo = fetchJsonCurl('https://fapi.binance.com/fapi/v1/fundingInfo');
-      const intervalMap = {};
-      if (Array.isArray(fundingInfo)) {
-        for (const info of fundingInfo) {
-          intervalMap[info.symbol] = (info.fundingIntervalHours || 8) * 3600;
-        }
-      }
+      const symbol = varAsset.symbol;
 
-      const data = fetchJsonCurl(BINANCE_API);
-      if (!Array.isArray(data)) {
-        throw new Error('Binance API 返回非数组数据');
-      }
+      // VAR 与每个对冲交易所组成一对，按扣除成本后的净收益择优
+      const candidates = availableAdapters
+        .filter(adapter => venueRateMaps[adapter.id][symbol])
+        .map(adapter => buildHedgeCandidate(varAsset, adapter, venueRateMaps[adapter.id][symbol]));
 
-      const result = data.map(item => ({
-        symbol: item.symbol.replace('USDT', '').replace('USDC', ''),
-        markPrice: parseFloat(item.markPrice) || 0,
-        indexPrice: parseFloat(item.indexPrice) || 0,
-        fundingRate: parseFloat(item.lastFundingRate) * 100 || 0,
-        fundingTime: item.nextFundingTime ? new Date(item.nextFundingTime).toISOString() : null,
-        fundingIntervalSeconds: intervalMap[item.symbol] || 28800,
-      }));
+      if (candidates.length === 0) continue;
 
-      lastBinanceRefreshTime = new Date();
-      return result;
-    } catch (err) {
-      lastError = err;
-      console.log(`[Binance] 请求失败 (${attempt}/${maxRetries}): ${err.message}`);
-      if (attempt < maxRetries) {
-        // 等待一秒后重试
-        const start = Date.now();
-        while (Date.now() - start < 1000) { /* busy wait */ }
-      }
+      candidates.sort((a, b) => b.netDailyProfit - a.netDailyProfit);
+      const [best, ...runnersUp] = candidates;
+
+      opportunities.push({
+        symbol,
+        hedgeVenue: best.hedgeVenue,
+        hedgeName: best.hedgeName,
+        hedgeInstrument: best.hedgeInstrument,
+        varPrice: varAsset.price,
+        hedgePrice: best.hedgePrice,
+        varRate: varAsset.fundingRate,
+        varInterval: varAsset.fundingIntervalSeconds,
+        var8hRate: best.var8hRate,
+        varAnnualRate: best.varAnnualRate,
+        varFundingTime: varAsset.fundingTime,
+        hedgeRate: best.hedgeRate,
+        hedgeInterval: best.hedgeInterval,
+        hedge8hRate: best.hedge8hRate,
+        hedgeAnnualRate: best.hedgeAnnualRate,
+        hedgeFundingTime: best.hedgeFundingTime,
+        varNextFundingTime: best.varNextFundingTime,
+        hedgeNextFundingTime: best.hedgeNextFundingTime,
+        rateDiff8h: best.rateDiff8h,
+        annualDiff: best.annualDiff,
+        strategy: best.strategy,
+        direction: best.direction,
+        dailyProfit: best.dailyProfit,
+        netDailyProfit: best.netDailyProfit,
+        breakEvenHours: best.breakEvenHours,
+        positionSize: best.positionSize,
+        timeline: best.timeline,
+        // 备选对冲所不携带时间线，保持数据量可控
+        alternatives: runnersUp.map(({ timeline, var8hRate, varAnnualRate, varNextFundingTime, positionSize, ...alt }) => alt),
+        volume24h: varAsset.volume24h,
+      });
+    } catch (calcErr) {
+      console.error(`[DATA] 处理交易对 ${varAsset.symbol} 失败: ${calcErr.message}`);
     }
   }
-  throw lastError;
+
+  opportunities.sort((a, b) => b.netDailyProfit - a.netDailyProfit);
+  return opportunities;
+}
+
+/**
+ * 替换当前数据并推送增量
+ * @param {Array<Object>} opportunities - 新的套利机会列表
+ */
+function publishOpportunities(opportunities) {
+  // 可成交规模先沿用上一轮的结果，新结果在后台计算完成后补充推送
+  attachCachedLiquidity(opportunities);
+
+  const previousData = cachedData;
+  cachedData = opportunities;
+  broadcastUpdate(previousData, opportunities);
+}
+
+/**
+ * VAR 推送到达时只重算有更新的币种，对冲交易所仍用上次轮询的结果，只推送这些行
+ * @param {Array<string>} symbols - 本次推送更新的基础币种
+ */
+function applyVarStreamToCache(symbols) {
+  if (!cachedData || !lastPollInputs) return;
+  const { varAssets, availableAdapters, venueRateMaps } = lastPollInputs;
+  const updatedSymbols = new Set(symbols);
+  const assets = varAssets.filter(asset => updatedSymbols.has(asset.symbol));
+  if (assets.length === 0) return;
+
+  const rebuilt = buildOpportunities(applyVarStreamUpdates(assets), availableAdapters, venueRateMaps);
+  attachCachedLiquidity(rebuilt);
+
+  const previousRows = cachedData.filter(o => updatedSymbols.has(o.symbol));
+  cachedData = cachedData
+    .filter(o => !updatedSymbols.has(o.symbol))
+    .concat(rebuilt)
+    .sort((a, b) => b.netDailyProfit - a.netDailyProfit);
+  broadcastUpdate(previousRows, rebuilt, cachedData);
 }
 
-async function fetchArbitrageData() {
+/**
+ * 获取套利数据，缓存未过期时直接返回缓存
+ * @param {Object} options - 选项
+ * @param {number} options.priority - VAR 请求优先级，页面和接口触发的刷新使用默认的 NORMAL
+ * @returns {Promise<Array<Object>>} 套利机会列表
+ */
+async function fetchArbitrageData(options = {}) {
+  const { priority = PRIORITY.NORMAL } = options;
   const now = Date.now();
   if (cachedData && now - lastFetchTime < CACHE_TTL) {
     return cachedData;
   }
 
   let varAssets = [];
-  let binanceRates = [];
+  const hedgeAdapters = getHedgeAdapters();
 
-  // 并行获取数据，单个失败不影响另一个
-  const results = await Promise.allSettled([
-    getVariationalAssets(),
-    Promise.resolve().then(() => getBinanceRates()),
+  // 并行获取数据，单个失败不影响其他
+  const [varResult, ...venueResults] = await Promise.allSettled([
+    trackRefresh('var', getVariationalAssets(3, priority)),
+    ...hedgeAdapters.map(adapter => trackRefresh(adapter.id, fetchVenueRates(adapter))),
   ]);
 
-  if (results[0].status === 'fulfilled') {
-    varAssets = results[0].value;
+  if (varResult.status === 'fulfilled') {
+    varAssets = varResult.value;
   } else {
-    console.error(`[DATA] VAR数据获取失败: ${results[0].reason?.message || results[0].reason}`);
+    console.error(`[DATA] VAR数据获取失败: ${varResult.reason?.message || varResult.reason}`);
     // 如果有缓存，继续使用旧数据
     if (cachedData) {
       console.log('[DATA] 使用缓存的VAR数据');
@@ -165,116 +403,71 @@ async function fetchArbitrageData() {
     }
   }
 
-  if (results[1].status === 'fulfilled') {
-    binanceRates = results[1].value;
-  } else {
-    console.error(`[DATA] Binance数据获取失败: ${results[1].reason?.message || results[1].reason}`);
-    // 如果有缓存，继续使用旧数据
-    if (cachedData) {
-      console.log('[DATA] 使用缓存的Binance数据');
-      return cachedData;
+  // venueId -> { symbol -> rate }
+  const venueRateMaps = {};
+  hedgeAdapters.forEach((adapter, idx) => {
+    const result = venueResults[idx];
+    if (result.status !== 'fulfilled') {
+      console.error(`[DATA] ${adapter.name}数据获取失败: ${result.reason?.message || result.reason}`);
+      return;
     }
-  }
-
-  // 如果两个都失败且没有缓存，抛出错误
-  if (varAssets.length === 0 && binanceRates.length === 0) {
-    throw new Error('无法获取任何数据');
-  }
+    const rateMap = {};
+    for (const rate of result.value) {
+      rateMap[rate.symbol] = rate;
+    }
+    venueRateMaps[adapter.id] = rateMap;
+    lastVenueRefreshTimes[adapter.id] = new Date();
+  });
 
-  const binanceRateMap = {};
-  for (const rate of binanceRates) {
-    binanceRateMap[rate.symbol] = rate;
+  const availableAdapters = hedgeAdapters.filter(adapter => venueRateMaps[adapter.id]);
+  if (availableAdapters.length === 0 && cachedData) {
+    // 所有对冲交易所都失败时，继续使用旧数据
+    console.log('[DATA] 使用缓存的对冲交易所数据');
+    return cachedData;
   }
 
-  const opportunities = [];
-
-  for (const varAsset of varAssets) {
-    try {
-      const symbol = varAsset.symbol;
-      const binanceData = binanceRateMap[symbol];
-
-      if (!binanceData) continue;
-
-      const var8hRate = to8HourRate(varAsset.fundingRate, varAsset.fundingIntervalSeconds);
-      const binance8hRate = binanceData.fundingRate || 0;
-
-      const varAnnualRate = toAnnualRate(varAsset.fundingRate, varAsset.fundingIntervalSeconds);
-      const binanceAnnualRate = toAnnualRate(binanceData.fundingRate, binanceData.fundingIntervalSeconds);
-
-      const rateDiff = var8hRate - binance8hRate;
-      const annualDiff = varAnnualRate - binanceAnnualRate;
-
-      let strategy = '';
-      let direction = '';
-
-      if (rateDiff > 0.01) {
-        strategy = 'VAR空 + Binance多';
-        direction = 'SHORT_VAR';
-      } else if (rateDiff < -0.01) {
-        strategy = 'Binance空 + VAR多';
-        direction = 'SHORT_BINANCE';
-      } else {
-        strategy = '无套利空间';
-        direction = 'NONE';
-      }
-
-      const positionSize = 10000;
-      const timeline = generateArbitrageTimeline({
-        varPrice: varAsset.price,
-        binancePrice: binanceData.markPrice,
-        varRate: varAsset.fundingRate,
-        varInterval: varAsset.fundingIntervalSeconds,
-        binanceRate: binanceData.fundingRate,
-        binanceInterval: binanceData.fundingIntervalSeconds,
-        direction,
-        simulateDays: 1,
-      });
-
-      // 使用24小时模拟的实际收益来计算日收益
-      const dailyProfit = (positionSize * timeline.finalProfit) / 100;
-
-      opportunities.push({
-        symbol,
-        varPrice: varAsset.price,
-        binancePrice: binanceData.markPrice,
-        varRate: varAsset.fundingRate,
-        varInterval: varAsset.fundingIntervalSeconds,
-        var8hRate,
-        varAnnualRate,
-        varFundingTime: varAsset.fundingTime,
-        binanceRate: binanceData.fundingRate,
-        binanceInterval: binanceData.fundingIntervalSeconds,
-        binance8hRate,
-        binanceAnnualRate,
-        binanceFundingTime: binanceData.fundingTime,
-        rateDiff8h: rateDiff,
-        annualDiff,
-        strategy,
-        direction,
-        dailyProfit,
-        positionSize,
-        timeline,
-        volume24h: varAsset.volume24h,
-      });
-    } catch (calcErr) {
-      console.error(`[DATA] 处理交易对 ${varAsset.symbol} 失败: ${calcErr.message}`);
-    }
+  // 如果都失败且没有缓存，抛出错误
+  if (varAssets.length === 0 && availableAdapters.length === 0) {
+    throw new Error('无法获取任何数据');
   }
 
-  opportunities.sort((a, b) => b.dailyProfit - a.dailyProfit);
-
-  cachedData = opportunities;
+  // 保留本次轮询结果，VAR 推送更新时据此重算；推送中的价格和费率比轮询更及时
+  lastPollInputs = { varAssets, availableAdapters, venueRateMaps };
+  const opportunities = buildOpportunities(applyVarStreamUpdates(varAssets), availableAdapters, venueRateMaps);
+  publishOpportunities(opportunities);
   lastFetchTime = now;
+  cacheUpdatedAt = Date.now();
+
+  refreshLiquidity(opportunities, { topN: config.depthTopN, budgetBps: config.depthBudgetBps })
+    .then(updated => {
+      if (updated > 0) applyCachedLiquidity();
+    })
+    .catch(depthErr => {
+      console.error(`[DATA] 深度计算失败: ${depthErr.message}`);
+    });
 
   return opportunities;
 }
 
+/**
+ * 后台深度计算完成后，把结果附加到当前数据并推送变化的行
+ */
+function applyCachedLiquidity() {
+  if (!cachedData) return;
+  // 原地更新，保持 cachedData 引用不变；浅拷贝保留更新前的行用于比较
+  const before = cachedData.map(o => ({ ...o }));
+  attachCachedLiquidity(cachedData);
+  broadcastUpdate(before, cachedData);
+}
+
 // 导出获取缓存数据的函数供 bot 使用
 export function getCachedOpportunities() {
   return cachedData || [];
 }
 
 function generateHTML(opportunities) {
+  const varSession = getVarSession();
+  const holdings = getCachedPortfolio()?.holdings || {};
   return `<!DOCTYPE html>
 <html>
 <head>
@@ -317,18 +510,24 @@ function generateHTML(opportunities) {
     .timeline-table td { padding: 6px 8px; border-bottom: 1px solid #222; }
     .timeline-table tr:nth-child(even) { background: #12121f; }
     .event-var { color: #9f9; }
-    .event-binance { color: #f90; }
+    .event-hedge { color: #f90; }
+    .alt-title { margin: 10px 0 6px; font-size: 12px; color: #888; }
     .event-open { color: #09f; }
+    .countdown { font-size: 11px; color: #aaa; white-space: nowrap; }
     .interval-tag { font-size: 10px; color: #888; background: #222; padding: 2px 6px; border-radius: 3px; margin-left: 5px; }
+    .session-banner { max-width: 1400px; margin: 0 auto 10px; padding: 8px 12px; background: #3a1d1d; border: 1px solid #f55; border-radius: 4px; color: #fcc; font-size: 13px; text-align: center; }
   </style>
 </head>
 <body>
-  <h1>Variational vs Binance 套利看板</h1>
+  <h1>Variational 跨所套利看板</h1>
+  <div id="session-banner" class="session-banner"${varSession.status === SESSION_STATUS.OK ? ' style="display: none"' : ''}>${varSession.status === SESSION_STATUS.OK ? '' : varSession.message}</div>
+  <div id="portfolio-banner" class="session-banner" style="display: none"></div>
   <div class="info">
     VAR刷新: <span id="var-time">${lastVarRefreshTime ? lastVarRefreshTime.toLocaleTimeString() : '-'}</span> |
-    Binance刷新: <span id="binance-time">${lastBinanceRefreshTime ? lastBinanceRefreshTime.toLocaleTimeString() : '-'}</span> |
+    对冲所刷新: <span id="venue-time">${formatVenueRefreshTimes(lastVenueRefreshTimes)}</span> |
     共 <span id="pair-count">${opportunities.length}</span> 个交易对 |
-    <span id="countdown">30</span>秒后刷新 | 点击行查看时间线详情
+    账户权益: <span id="portfolio-equity">-</span> |
+    <span id="refresh-mode">30秒后刷新</span> | 点击行查看时间线详情
   </div>
   <div class="filter-tabs">
     <button class="tab active" data-filter="all" onclick="setFilter('all')">全部</button>
@@ -342,35 +541,45 @@ function generateHTML(opportunities) {
     <thead>
       <tr>
         <th>交易对</th>
+        <th>VAR持仓</th>
         <th>VAR价格</th>
-        <th>Binance价格</th>
+        <th>对冲价格</th>
         <th>VAR费率<span class="interval-tag">周期</span></th>
-        <th>Binance费率<span class="interval-tag">周期</span></th>
+        <th>对冲费率<span class="interval-tag">周期</span></th>
         <th>24h收益%</th>
         <th>年化差</th>
-        <th>日收益(1万U)</th>
+        <th>日收益(${formatPositionSize(config.positionSize)})</th>
+        <th>净收益(${formatPositionSize(config.positionSize)})</th>
+        <th>可成交规模</th>
+        <th>下次结算</th>
+        <th>对冲所</th>
         <th>策略</th>
       </tr>
     </thead>
     <tbody>
-      ${opportunities.map((o, idx) => {
-        const isHot = Math.abs(o.annualDiff) > 50;
+      ${opportunities.map(o => {
+        const isHot = Math.abs(o.annualDiff) > config.hotAnnualThreshold;
         const hasOpp = o.direction !== 'NONE';
         const varIntervalText = formatIntervalShort(o.varInterval);
-        const binanceIntervalText = formatIntervalShort(o.binanceInterval);
-        return `<tr class="main-row ${isHot ? 'hot' : ''}" data-symbol="${o.symbol.toLowerCase()}" data-direction="${o.direction}" data-idx="${idx}" onclick="toggleTimeline(${idx})">
+        const hedgeIntervalText = formatIntervalShort(o.hedgeInterval);
+        return `<tr class="main-row ${isHot ? 'hot' : ''}" data-key="${o.symbol}" data-symbol="${o.symbol.toLowerCase()}" data-direction="${o.direction}" onclick="toggleTimeline(this.dataset.key)">
           <td><span class="expand-icon">▶</span><strong>${o.symbol}</strong></td>
+          <td class="holding">${formatHolding(holdings[o.symbol])}</td>
           <td>$${o.varPrice.toFixed(4)}</td>
-          <td>$${o.binancePrice.toFixed(4)}</td>
+          <td>$${o.hedgePrice.toFixed(4)}</td>
           <td class="${o.varRate >= 0 ? 'positive' : 'negative'}">${o.varRate >= 0 ? '+' : ''}${o.varRate.toFixed(4)}%<span class="interval-tag">${varIntervalText}</span></td>
-          <td class="${o.binanceRate >= 0 ? 'positive' : 'negative'}">${o.binanceRate >= 0 ? '+' : ''}${o.binanceRate.toFixed(4)}%<span class="interval-tag">${binanceIntervalText}</span></td>
+          <td class="${o.hedgeRate >= 0 ? 'positive' : 'negative'}">${o.hedgeRate >= 0 ? '+' : ''}${o.hedgeRate.toFixed(4)}%<span class="interval-tag">${hedgeIntervalText}</span></td>
           <td class="${o.timeline.finalProfit >= 0 ? 'positive' : 'negative'}">${o.timeline.finalProfit >= 0 ? '+' : ''}${o.timeline.finalProfit.toFixed(4)}%</td>
           <td class="${o.annualDiff >= 0 ? 'positive' : 'negative'}">${o.annualDiff >= 0 ? '+' : ''}${o.annualDiff.toFixed(2)}%</td>
           <td>${hasOpp ? '$' + o.dailyProfit.toFixed(2) : '-'}</td>
+          <td class="${o.netDailyProfit >= 0 ? 'positive' : 'negative'}">${hasOpp ? '$' + o.netDailyProfit.toFixed(2) : '-'}</td>
+          <td>${formatLiquidity(o.liquidity)}</td>
+          <td class="countdown">VAR <span data-funding-time="${o.varNextFundingTime}">${getTimeToFunding(o.varNextFundingTime).text}</span><br>${o.hedgeName} <span data-funding-time="${o.hedgeNextFundingTime}">${getTimeToFunding(o.hedgeNextFundingTime).text}</span></td>
+          <td>${o.hedgeName}</td>
           <td class="${hasOpp ? 'strategy' : 'none'}">${o.strategy}</td>
         </tr>
-        <tr class="timeline-row" id="timeline-${idx}">
-          <td colspan="9" class="timeline-cell">
+        <tr class="timeline-row" id="timeline-${o.symbol}">
+          <td colspan="14" class="timeline-cell">
             <div class="timeline-container">
               <div class="timeline-header">
                 <div class="timeline-stat">
@@ -382,13 +591,25 @@ function generateHTML(opportunities) {
                   <div class="timeline-stat-label">VAR费率收益</div>
                 </div>
                 <div class="timeline-stat">
-                  <div class="timeline-stat-value ${o.timeline.binanceTotalFunding >= 0 ? 'positive' : 'negative'}">${o.timeline.binanceTotalFunding >= 0 ? '+' : ''}${o.timeline.binanceTotalFunding.toFixed(4)}%</div>
-                  <div class="timeline-stat-label">Binance费率收益</div>
+                  <div class="timeline-stat-value ${o.timeline.hedgeTotalFunding >= 0 ? 'positive' : 'negative'}">${o.timeline.hedgeTotalFunding >= 0 ? '+' : ''}${o.timeline.hedgeTotalFunding.toFixed(4)}%</div>
+                  <div class="timeline-stat-label">${o.hedgeName}费率收益</div>
                 </div>
                 <div class="timeline-stat">
                   <div class="timeline-stat-value ${o.timeline.finalProfit >= 0 ? 'positive' : 'negative'}">${o.timeline.finalProfit >= 0 ? '+' : ''}${o.timeline.finalProfit.toFixed(4)}%</div>
                   <div class="timeline-stat-label">24h总收益</div>
                 </div>
+                <div class="timeline-stat">
+                  <div class="timeline-stat-value negative">-${o.timeline.tradingCost.toFixed(4)}%</div>
+                  <div class="timeline-stat-label">开平仓成本</div>
+                </div>
+                <div class="timeline-stat">
+                  <div class="timeline-stat-value ${o.timeline.netProfit >= 0 ? 'positive' : 'negative'}">${o.timeline.netProfit >= 0 ? '+' : ''}${o.timeline.netProfit.toFixed(4)}%</div>
+                  <div class="timeline-stat-label">24h净收益</div>
+                </div>
+                <div class="timeline-stat">
+                  <div class="timeline-stat-value">${formatBreakEven(o.breakEvenHours)}</div>
+                  <div class="timeline-stat-label">回本时间</div>
+                </div>
               </div>
               <table class="timeline-table">
                 <thead>
@@ -396,7 +617,7 @@ function generateHTML(opportunities) {
                     <th>时间</th>
                     <th>事件</th>
                     <th>VAR费率</th>
-                    <th>Binance费率</th>
+                    <th>${o.hedgeName}费率</th>
                     <th>本次净收益</th>
                     <th>累计收益</th>
                   </tr>
@@ -405,6 +626,7 @@ function generateHTML(opportunities) {
                   ${generateTimelineRows(o.timeline.timeline)}
                 </tbody>
               </table>
+              ${generateAlternativesTable(o.alternatives)}
             </div>
           </td>
         </tr>`;
@@ -412,10 +634,14 @@ function generateHTML(opportunities) {
     </tbody>
   </table>
   <script>
-    const REFRESH_INTERVAL = 30; // 前端每30秒拉取一次缓存
+    const REFRESH_INTERVAL = 30; // 推送断开时前端每30秒拉取一次缓存
+    const HOT_THRESHOLD = ${config.hotAnnualThreshold}; // 年化差超过该值高亮
+    const PORTFOLIO_INTERVAL = 60000; // 持仓每分钟拉取一次
     let countdown = REFRESH_INTERVAL;
     let allData = [];
+    let holdings = ${JSON.stringify(holdings)};
     let currentFilter = 'all';
+    let streamConnected = false;
 
     function setFilter(filterType) {
       currentFilter = filterType;
@@ -433,24 +659,56 @@ function generateHTML(opportunities) {
         const direction = row.dataset.direction;
         let matchFilter = true;
         if (currentFilter === 'long') {
-          matchFilter = direction === 'SHORT_BINANCE';
+          matchFilter = direction === 'SHORT_HEDGE';
         } else if (currentFilter === 'short') {
           matchFilter = direction === 'SHORT_VAR';
         }
         const show = matchSearch && matchFilter;
         row.style.display = show ? '' : 'none';
-        const timelineRow = document.getElementById('timeline-' + row.dataset.idx);
+        const timelineRow = document.getElementById('timeline-' + row.dataset.key);
         if (!show) timelineRow.classList.remove('show');
       });
     }
 
-    function toggleTimeline(idx) {
-      const row = document.querySelector('[data-idx="' + idx + '"]');
-      const timeline = document.getElementById('timeline-' + idx);
+    function toggleTimeline(symbol) {
+      const row = document.querySelector('tr.main-row[data-key="' + symbol + '"]');
+      const timeline = document.getElementById('timeline-' + symbol);
       row.classList.toggle('expanded');
       timeline.classList.toggle('show');
     }
 
+    function timeToFundingText(fundingTime) {
+      const diffMs = new Date(fundingTime) - new Date();
+      if (!(diffMs > 0)) return 'NOW';
+      const hours = Math.floor(diffMs / 3600000);
+      const minutes = Math.floor((diffMs % 3600000) / 60000);
+      return hours + 'h ' + minutes + 'm';
+    }
+
+    function updateFundingCountdowns() {
+      document.querySelectorAll('[data-funding-time]').forEach(el => {
+        el.textContent = timeToFundingText(el.dataset.fundingTime);
+      });
+    }
+
+    function formatLiquidity(liquidity) {
+      if (!liquidity) return '-';
+      return '$' + liquidity.maxSize.toLocaleString() + '<span class="interval-tag">≤' + liquidity.budgetBps + 'bps</span>';
+    }
+
+    function formatHolding(holding) {
+      if (!holding) return '-';
+      const sideText = holding.side === 'LONG' ? '<span class="positive">多</span>' : '<span class="negative">空</span>';
+      return sideText + ' $' + Math.round(holding.notional).toLocaleString() +
+        '<span class="interval-tag">费 ' + (holding.funding >= 0 ? '+' : '') + holding.funding.toFixed(2) + '</span>';
+    }
+
+    function formatBreakEven(hours) {
+      if (hours === null || hours === undefined) return '不回本';
+      if (hours < 1) return Math.round(hours * 60) + 'm';
+      return hours.toFixed(1) + 'h';
+    }
+
     function formatIntervalShort(seconds) {
       if (seconds >= 86400) return (seconds / 86400) + 'd';
       if (seconds >= 3600) return (seconds / 3600) + 'h';
@@ -461,53 +719,159 @@ function generateHTML(opportunities) {
       const maxRows = 50;
       const rows = timeline.slice(0, maxRows);
       return rows.map(t => {
-        const eventClass = t.event === 'OPEN' ? 'event-open' : (t.event === 'VAR' ? 'event-var' : 'event-binance');
+        const eventClass = t.event === 'OPEN' ? 'event-open' : (t.event === 'VAR' ? 'event-var' : 'event-hedge');
         return '<tr>' +
           '<td>' + t.timeText + '</td>' +
           '<td class="' + eventClass + '">' + t.description + '</td>' +
           '<td class="' + (t.varFunding >= 0 ? 'positive' : 'negative') + '">' + (t.varFunding !== 0 ? (t.varFunding >= 0 ? '+' : '') + t.varFunding.toFixed(4) + '%' : '-') + '</td>' +
-          '<td class="' + (t.binanceFunding >= 0 ? 'positive' : 'negative') + '">' + (t.binanceFunding !== 0 ? (t.binanceFunding >= 0 ? '+' : '') + t.binanceFunding.toFixed(4) + '%' : '-') + '</td>' +
+          '<td class="' + (t.hedgeFunding >= 0 ? 'positive' : 'negative') + '">' + (t.hedgeFunding !== 0 ? (t.hedgeFunding >= 0 ? '+' : '') + t.hedgeFunding.toFixed(4) + '%' : '-') + '</td>' +
           '<td class="' + ((t.netFunding + t.spreadProfit) >= 0 ? 'positive' : 'negative') + '">' + ((t.netFunding + t.spreadProfit) >= 0 ? '+' : '') + (t.netFunding + t.spreadProfit).toFixed(4) + '%</td>' +
           '<td class="' + (t.cumulativeProfit >= 0 ? 'positive' : 'negative') + '">' + (t.cumulativeProfit >= 0 ? '+' : '') + t.cumulativeProfit.toFixed(4) + '%</td>' +
           '</tr>';
       }).join('') + (timeline.length > maxRows ? '<tr><td colspan="6" style="text-align:center;color:#888;">... 还有 ' + (timeline.length - maxRows) + ' 条记录</td></tr>' : '');
     }
 
+    function generateAlternativesTable(alternatives) {
+      if (!alternatives || alternatives.length === 0) return '';
+      return '<div class="alt-title">备选对冲所</div>' +
+        '<table class="timeline-table"><thead><tr><th>对冲所</th><th>价格</th><th>费率</th><th>年化差</th><th>日收益(${formatPositionSize(config.positionSize)})</th><th>净收益(${formatPositionSize(config.positionSize)})</th><th>策略</th></tr></thead><tbody>' +
+        alternatives.map(a => '<tr>' +
+          '<td>' + a.hedgeName + '</td>' +
+          '<td>$' + a.hedgePrice.toFixed(4) + '</td>' +
+          '<td class="' + (a.hedgeRate >= 0 ? 'positive' : 'negative') + '">' + (a.hedgeRate >= 0 ? '+' : '') + a.hedgeRate.toFixed(4) + '%<span class="interval-tag">' + formatIntervalShort(a.hedgeInterval) + '</span></td>' +
+          '<td class="' + (a.annualDiff >= 0 ? 'positive' : 'negative') + '">' + (a.annualDiff >= 0 ? '+' : '') + a.annualDiff.toFixed(2) + '%</td>' +
+          '<td>' + (a.direction !== 'NONE' ? '$' + a.dailyProfit.toFixed(2) : '-') + '</td>' +
+          '<td class="' + (a.netDailyProfit >= 0 ? 'positive' : 'negative') + '">' + (a.direction !== 'NONE' ? '$' + a.netDailyProfit.toFixed(2) : '-') + '</td>' +
+          '<td class="' + (a.direction !== 'NONE' ? 'strategy' : 'none') + '">' + a.strategy + '</td>' +
+          '</tr>').join('') +
+        '</tbody></table>';
+    }
+
+    function renderRows(o) {
+      const isHot = Math.abs(o.annualDiff) > HOT_THRESHOLD;
+      const hasOpp = o.direction !== 'NONE';
+      const varIntervalText = formatIntervalShort(o.varInterval);
+      const hedgeIntervalText = formatIntervalShort(o.hedgeInterval);
+      return '<tr class="main-row ' + (isHot ? 'hot' : '') + '" data-key="' + o.symbol + '" data-symbol="' + o.symbol.toLowerCase() + '" data-direction="' + o.direction + '" onclick="toggleTimeline(this.dataset.key)">' +
+        '<td><span class="expand-icon">▶</span><strong>' + o.symbol + '</strong></td>' +
+        '<td class="holding">' + formatHolding(holdings[o.symbol]) + '</td>' +
+        '<td>$' + o.varPrice.toFixed(4) + '</td>' +
+        '<td>$' + o.hedgePrice.toFixed(4) + '</td>' +
+        '<td class="' + (o.varRate >= 0 ? 'positive' : 'negative') + '">' + (o.varRate >= 0 ? '+' : '') + o.varRate.toFixed(4) + '%<span class="interval-tag">' + varIntervalText + '</span></td>' +
+        '<td class="' + (o.hedgeRate >= 0 ? 'positive' : 'negative') + '">' + (o.hedgeRate >= 0 ? '+' : '') + o.hedgeRate.toFixed(4) + '%<span class="interval-tag">' + hedgeIntervalText + '</span></td>' +
+        '<td class="' + (o.timeline.finalProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.finalProfit >= 0 ? '+' : '') + o.timeline.finalProfit.toFixed(4) + '%</td>' +
+        '<td class="' + (o.annualDiff >= 0 ? 'positive' : 'negative') + '">' + (o.annualDiff >= 0 ? '+' : '') + o.annualDiff.toFixed(2) + '%</td>' +
+        '<td>' + (hasOpp ? '$' + o.dailyProfit.toFixed(2) : '-') + '</td>' +
+        '<td class="' + (o.netDailyProfit >= 0 ? 'positive' : 'negative') + '">' + (hasOpp ? '$' + o.netDailyProfit.toFixed(2) : '-') + '</td>' +
+        '<td>' + formatLiquidity(o.liquidity) + '</td>' +
+        '<td class="countdown">VAR <span data-funding-time="' + o.varNextFundingTime + '">' + timeToFundingText(o.varNextFundingTime) + '</span><br>' + o.hedgeName + ' <span data-funding-time="' + o.hedgeNextFundingTime + '">' + timeToFundingText(o.hedgeNextFundingTime) + '</span></td>' +
+        '<td>' + o.hedgeName + '</td>' +
+        '<td class="' + (hasOpp ? 'strategy' : 'none') + '">' + o.strategy + '</td>' +
+        '</tr>' +
+        '<tr class="timeline-row" id="timeline-' + o.symbol + '">' +
+        '<td colspan="14" class="timeline-cell">' +
+        '<div class="timeline-container">' +
+        '<div class="timeline-header">' +
+        '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.lockedSpreadProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.lockedSpreadProfit >= 0 ? '+' : '') + o.timeline.lockedSpreadProfit.toFixed(4) + '%</div><div class="timeline-stat-label">锁定价差</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.varTotalFunding >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.varTotalFunding >= 0 ? '+' : '') + o.timeline.varTotalFunding.toFixed(4) + '%</div><div class="timeline-stat-label">VAR费率收益</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.hedgeTotalFunding >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.hedgeTotalFunding >= 0 ? '+' : '') + o.timeline.hedgeTotalFunding.toFixed(4) + '%</div><div class="timeline-stat-label">' + o.hedgeName + '费率收益</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.finalProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.finalProfit >= 0 ? '+' : '') + o.timeline.finalProfit.toFixed(4) + '%</div><div class="timeline-stat-label">24h总收益</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value negative">-' + o.timeline.tradingCost.toFixed(4) + '%</div><div class="timeline-stat-label">开平仓成本</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.netProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.netProfit >= 0 ? '+' : '') + o.timeline.netProfit.toFixed(4) + '%</div><div class="timeline-stat-label">24h净收益</div></div>' +
+        '<div class="timeline-stat"><div class="timeline-stat-value">' + formatBreakEven(o.breakEvenHours) + '</div><div class="timeline-stat-label">回本时间</div></div>' +
+        '</div>' +
+        '<table class="timeline-table"><thead><tr><th>时间</th><th>事件</th><th>VAR费率</th><th>' + o.hedgeName + '费率</th><th>本次净收益</th><th>累计收益</th></tr></thead>' +
+        '<tbody>' + generateTimelineRows(o.timeline.timeline) + '</tbody></table>' +
+        generateAlternativesTable(o.alternatives) +
+        '</div></td></tr>';
+    }
+
+    // 记录已展开的交易对，重绘后恢复
+    function getExpandedSymbols() {
+      return new Set(Array.from(document.querySelectorAll('#table tbody tr.main-row.expanded')).map(row => row.dataset.key));
+    }
+
+    function restoreExpanded(expanded) {
+      expanded.forEach(symbol => {
+        const row = document.querySelector('tr.main-row[data-key="' + symbol + '"]');
+        if (!row) return;
+        row.classList.add('expanded');
+        document.getElementById('timeline-' + symbol).classList.add('show');
+      });
+    }
+
     function renderTable(data) {
-      const tbody = document.querySelector('#table tbody');
-      tbody.innerHTML = data.map((o, idx) => {
-        const isHot = Math.abs(o.annualDiff) > 50;
-        const hasOpp = o.direction !== 'NONE';
-        const varIntervalText = formatIntervalShort(o.varInterval);
-        const binanceIntervalText = formatIntervalShort(o.binanceInterval);
-        return '<tr class="main-row ' + (isHot ? 'hot' : '') + '" data-symbol="' + o.symbol.toLowerCase() + '" data-direction="' + o.direction + '" data-idx="' + idx + '" onclick="toggleTimeline(' + idx + ')">' +
-          '<td><span class="expand-icon">▶</span><strong>' + o.symbol + '</strong></td>' +
-          '<td>$' + o.varPrice.toFixed(4) + '</td>' +
-          '<td>$' + o.binancePrice.toFixed(4) + '</td>' +
-          '<td class="' + (o.varRate >= 0 ? 'positive' : 'negative') + '">' + (o.varRate >= 0 ? '+' : '') + o.varRate.toFixed(4) + '%<span class="interval-tag">' + varIntervalText + '</span></td>' +
-          '<td class="' + (o.binanceRate >= 0 ? 'positive' : 'negative') + '">' + (o.binanceRate >= 0 ? '+' : '') + o.binanceRate.toFixed(4) + '%<span class="interval-tag">' + binanceIntervalText + '</span></td>' +
-          '<td class="' + (o.timeline.finalProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.finalProfit >= 0 ? '+' : '') + o.timeline.finalProfit.toFixed(4) + '%</td>' +
-          '<td class="' + (o.annualDiff >= 0 ? 'positive' : 'negative') + '">' + (o.annualDiff >= 0 ? '+' : '') + o.annualDiff.toFixed(2) + '%</td>' +
-          '<td>' + (hasOpp ? '$' + o.dailyProfit.toFixed(2) : '-') + '</td>' +
-          '<td class="' + (hasOpp ? 'strategy' : 'none') + '">' + o.strategy + '</td>' +
-          '</tr>' +
-          '<tr class="timeline-row" id="timeline-' + idx + '">' +
-          '<td colspan="9" class="timeline-cell">' +
-          '<div class="timeline-container">' +
-          '<div class="timeline-header">' +
-          '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.lockedSpreadProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.lockedSpreadProfit >= 0 ? '+' : '') + o.timeline.lockedSpreadProfit.toFixed(4) + '%</div><div class="timeline-stat-label">锁定价差</div></div>' +
-          '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.varTotalFunding >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.varTotalFunding >= 0 ? '+' : '') + o.timeline.varTotalFunding.toFixed(4) + '%</div><div class="timeline-stat-label">VAR费率收益</div></div>' +
-          '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.binanceTotalFunding >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.binanceTotalFunding >= 0 ? '+' : '') + o.timeline.binanceTotalFunding.toFixed(4) + '%</div><div class="timeline-stat-label">Binance费率收益</div></div>' +
-          '<div class="timeline-stat"><div class="timeline-stat-value ' + (o.timeline.finalProfit >= 0 ? 'positive' : 'negative') + '">' + (o.timeline.finalProfit >= 0 ? '+' : '') + o.timeline.finalProfit.toFixed(4) + '%</div><div class="timeline-stat-label">24h总收益</div></div>' +
-          '</div>' +
-          '<table class="timeline-table"><thead><tr><th>时间</th><th>事件</th><th>VAR费率</th><th>Binance费率</th><th>本次净收益</th><th>累计收益</th></tr></thead>' +
-          '<tbody>' + generateTimelineRows(o.timeline.timeline) + '</tbody></table>' +
-          '</div></td></tr>';
-      }).join('');
+      const expanded = getExpandedSymbols();
+      document.querySelector('#table tbody').innerHTML = data.map(renderRows).join('');
+      restoreExpanded(expanded);
       document.getElementById('pair-count').textContent = data.length;
       filter(); // 重新应用搜索过滤
     }
 
+    // 按推送的增量原地更新：替换变化行、删除消失行、按新顺序排列
+    function patchTable(update) {
+      const tbody = document.querySelector('#table tbody');
+      const expanded = getExpandedSymbols();
+      const bySymbol = new Map(allData.map(o => [o.symbol, o]));
+
+      update.removed.forEach(symbol => {
+        bySymbol.delete(symbol);
+        const row = tbody.querySelector('tr.main-row[data-key="' + symbol + '"]');
+        if (row) row.remove();
+        const timeline = document.getElementById('timeline-' + symbol);
+        if (timeline) timeline.remove();
+      });
+
+      update.changed.forEach(o => {
+        bySymbol.set(o.symbol, o);
+        const template = document.createElement('tbody');
+        template.innerHTML = renderRows(o);
+        const oldRow = tbody.querySelector('tr.main-row[data-key="' + o.symbol + '"]');
+        const oldTimeline = document.getElementById('timeline-' + o.symbol);
+        if (oldRow) oldRow.replaceWith(template.children[0]);
+        else tbody.appendChild(template.children[0]);
+        if (oldTimeline) oldTimeline.replaceWith(template.children[0]);
+        else tbody.appendChild(template.children[0]);
+      });
+
+      // appendChild 会移动已有节点，依次追加即完成排序
+      update.order.forEach(symbol => {
+        const row = tbody.querySelector('tr.main-row[data-key="' + symbol + '"]');
+        if (!row) return;
+        tbody.appendChild(row);
+        tbody.appendChild(document.getElementById('timeline-' + symbol));
+      });
+
+      allData = update.order.map(symbol => bySymbol.get(symbol)).filter(Boolean);
+      restoreExpanded(expanded);
+      document.getElementById('pair-count').textContent = allData.length;
+      filter();
+      updateFundingCountdowns();
+    }
+
+    function updateRefreshTimes(result) {
+      if (result.varRefreshTime) {
+        document.getElementById('var-time').textContent = new Date(result.varRefreshTime).toLocaleTimeString();
+      }
+      if (result.venueRefreshTimes) {
+        document.getElementById('venue-time').textContent = Object.entries(result.venueRefreshTimes)
+          .map(([venue, time]) => venue + ' ' + new Date(time).toLocaleTimeString())
+          .join(' / ') || '-';
+      }
+    }
+
+    // VAR 登录失效或人机验证时显示提示，数据停留在上次成功刷新的时间
+    function updateSessionBanner(session) {
+      if (!session) return;
+      const banner = document.getElementById('session-banner');
+      if (session.status === 'ok') {
+        banner.style.display = 'none';
+        return;
+      }
+      banner.textContent = session.message;
+      banner.style.display = '';
+    }
+
     async function fetchData() {
       try {
         const res = await fetch('/api/data');
@@ -516,33 +880,114 @@ function generateHTML(opportunities) {
         allData = result.opportunities;
         renderTable(result.opportunities);
         // 更新真实的刷新时间
-        if (result.varRefreshTime) {
-          document.getElementById('var-time').textContent = new Date(result.varRefreshTime).toLocaleTimeString();
-        }
-        if (result.binanceRefreshTime) {
-          document.getElementById('binance-time').textContent = new Date(result.binanceRefreshTime).toLocaleTimeString();
-        }
+        updateRefreshTimes(result);
+        updateSessionBanner(result.varSession);
       } catch (err) {
         console.error('刷新失败:', err);
       }
     }
 
-    function updateCountdown() {
-      countdown--;
-      if (countdown <= 0) {
+    // 订阅服务端推送，连接期间停止轮询，断开后 EventSource 会自动重连
+    function connectStream() {
+      const source = new EventSource('/api/stream');
+      source.addEventListener('open', () => {
+        streamConnected = true;
+      });
+      source.addEventListener('snapshot', (event) => {
+        const result = JSON.parse(event.data);
+        allData = result.opportunities;
+        renderTable(result.opportunities);
+        updateRefreshTimes(result);
+        updateSessionBanner(result.varSession);
+      });
+      source.addEventListener('update', (event) => {
+        const update = JSON.parse(event.data);
+        patchTable(update);
+        updateRefreshTimes(update);
+      });
+      source.addEventListener('session', (event) => {
+        updateSessionBanner(JSON.parse(event.data));
+      });
+      source.addEventListener('error', () => {
+        streamConnected = false;
         countdown = REFRESH_INTERVAL;
-        fetchData();
+      });
+    }
+
+    // 持仓只更新对应单元格，不重绘整行
+    function renderPortfolio(portfolio) {
+      holdings = portfolio ? portfolio.holdings : {};
+      document.querySelectorAll('#table tbody tr.main-row').forEach(row => {
+        row.querySelector('td.holding').innerHTML = formatHolding(holdings[row.dataset.key]);
+      });
+      document.getElementById('portfolio-equity').textContent = portfolio
+        ? '$' + portfolio.balance.equity.toLocaleString(undefined, { maximumFractionDigits: 2 })
+        : '-';
+    }
+
+    // 获取失败时清空持仓列并显示原因，不保留可能已过时的持仓
+    async function fetchPortfolio() {
+      const banner = document.getElementById('portfolio-banner');
+      try {
+        const res = await fetch('/api/portfolio');
+        const result = await res.json();
+        if (result.error) throw new Error(result.error);
+        renderPortfolio(result);
+        banner.style.display = 'none';
+      } catch (err) {
+        console.error('持仓获取失败:', err);
+        renderPortfolio(null);
+        banner.textContent = '⚠️ 持仓获取失败: ' + err.message;
+        banner.style.display = '';
+      }
+    }
+
+    function updateCountdown() {
+      if (streamConnected) {
+        document.getElementById('refresh-mode').textContent = '实时推送';
+      } else {
+        countdown--;
+        if (countdown <= 0) {
+          countdown = REFRESH_INTERVAL;
+          fetchData();
+        }
+        document.getElementById('refresh-mode').textContent = countdown + '秒后刷新';
       }
-      document.getElementById('countdown').textContent = countdown;
+      updateFundingCountdowns();
     }
 
     // 启动定时器
     setInterval(updateCountdown, 1000);
+    if (window.EventSource) connectStream();
+    fetchPortfolio();
+    setInterval(fetchPortfolio, PORTFOLIO_INTERVAL);
   </script>
 </body>
 </html>`;
 }
 
+function formatPositionSize(size) {
+  return size % 10000 === 0 ? `${size / 10000}万U` : `${size.toLocaleString()}U`;
+}
+
+function formatLiquidity(liquidity) {
+  if (!liquidity) return '-';
+  return `$${liquidity.maxSize.toLocaleString()}<span class="interval-tag">≤${liquidity.budgetBps}bps</span>`;
+}
+
+// VAR 净持仓方向和名义价值，附最近7天资金费合计
+function formatHolding(holding) {
+  if (!holding) return '-';
+  const sideText = holding.side === 'LONG' ? '<span class="positive">多</span>' : '<span class="negative">空</span>';
+  return `${sideText} $${Math.round(holding.notional).toLocaleString()}<span class="interval-tag">费 ${holding.funding >= 0 ? '+' : ''}${holding.funding.toFixed(2)}</span>`;
+}
+
+function formatBreakEven(hours) {
+  if (hours === null || hours === undefined) return '不回本';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  return `${hours.toFixed(1)}h`;
+}
+
 function formatIntervalShort(seconds) {
   if (seconds >= 86400) return (seconds / 86400) + 'd';
   if (seconds >= 3600) return (seconds / 3600) + 'h';
@@ -555,18 +1000,142 @@ function generateTimelineRows(timeline) {
   const rows = timeline.slice(0, maxRows);
 
   return rows.map(t => {
-    const eventClass = t.event === 'OPEN' ? 'event-open' : (t.event === 'VAR' ? 'event-var' : 'event-binance');
+    const eventClass = t.event === 'OPEN' ? 'event-open' : (t.event === 'VAR' ? 'event-var' : 'event-hedge');
     return `<tr>
       <td>${t.timeText}</td>
       <td class="${eventClass}">${t.description}</td>
       <td class="${t.varFunding >= 0 ? 'positive' : 'negative'}">${t.varFunding !== 0 ? (t.varFunding >= 0 ? '+' : '') + t.varFunding.toFixed(4) + '%' : '-'}</td>
-      <td class="${t.binanceFunding >= 0 ? 'positive' : 'negative'}">${t.binanceFunding !== 0 ? (t.binanceFunding >= 0 ? '+' : '') + t.binanceFunding.toFixed(4) + '%' : '-'}</td>
+      <td class="${t.hedgeFunding >= 0 ? 'positive' : 'negative'}">${t.hedgeFunding !== 0 ? (t.hedgeFunding >= 0 ? '+' : '') + t.hedgeFunding.toFixed(4) + '%' : '-'}</td>
       <td class="${t.netFunding + t.spreadProfit >= 0 ? 'positive' : 'negative'}">${(t.netFunding + t.spreadProfit) >= 0 ? '+' : ''}${(t.netFunding + t.spreadProfit).toFixed(4)}%</td>
       <td class="${t.cumulativeProfit >= 0 ? 'positive' : 'negative'}">${t.cumulativeProfit >= 0 ? '+' : ''}${t.cumulativeProfit.toFixed(4)}%</td>
     </tr>`;
   }).join('') + (timeline.length > maxRows ? `<tr><td colspan="6" style="text-align:center;color:#888;">... 还有 ${timeline.length - maxRows} 条记录</td></tr>` : '');
 }
 
+function generateAlternativesTable(alternatives) {
+  if (!alternatives || alternatives.length === 0) return '';
+  return `<div class="alt-title">备选对冲所</div>
+    <table class="timeline-table">
+      <thead>
+        <tr><th>对冲所</th><th>价格</th><th>费率</th><th>年化差</th><th>日收益(${formatPositionSize(config.positionSize)})</th><th>净收益(${formatPositionSize(config.positionSize)})</th><th>策略</th></tr>
+      </thead>
+      <tbody>
+        ${alternatives.map(a => `<tr>
+          <td>${a.hedgeName}</td>
+          <td>$${a.hedgePrice.toFixed(4)}</td>
+          <td class="${a.hedgeRate >= 0 ? 'positive' : 'negative'}">${a.hedgeRate >= 0 ? '+' : ''}${a.hedgeRate.toFixed(4)}%<span class="interval-tag">${formatIntervalShort(a.hedgeInterval)}</span></td>
+          <td class="${a.annualDiff >= 0 ? 'positive' : 'negative'}">${a.annualDiff >= 0 ? '+' : ''}${a.annualDiff.toFixed(2)}%</td>
+          <td>${a.direction !== 'NONE' ? '$' + a.dailyProfit.toFixed(2) : '-'}</td>
+          <td class="${a.netDailyProfit >= 0 ? 'positive' : 'negative'}">${a.direction !== 'NONE' ? '$' + a.netDailyProfit.toFixed(2) : '-'}</td>
+          <td class="${a.direction !== 'NONE' ? 'strategy' : 'none'}">${a.strategy}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function formatVenueRefreshTimes(refreshTimes) {
+  const entries = Object.entries(refreshTimes);
+  if (entries.length === 0) return '-';
+  return entries.map(([venue, time]) => `${venue} ${time.toLocaleTimeString()}`).join(' / ');
+}
+
+function getRefreshTimes() {
+  return {
+    varRefreshTime: lastVarRefreshTime ? lastVarRefreshTime.toISOString() : null,
+    venueRefreshTimes: Object.fromEntries(
+      Object.entries(lastVenueRefreshTimes).map(([venue, time]) => [venue, time.toISOString()])
+    ),
+  };
+}
+
+function sendStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * 向所有订阅者推送本次刷新的增量
+ * @param {Array} previous - 更新前的行
+ * @param {Array} current - 更新后的行
+ * @param {Array} ordered - 更新后的完整列表，决定推送的顺序，默认为 current
+ */
+function broadcastUpdate(previous, current, ordered = current) {
+  if (streamClients.size === 0) return;
+
+  const update = { ...diffOpportunities(previous, current), order: ordered.map(o => o.symbol), ...getRefreshTimes() };
+  console.log(`[STREAM] 推送更新: ${update.changed.length} 行变化, ${update.removed.length} 行移除, ${streamClients.size} 个订阅者`);
+  for (const res of streamClients) {
+    sendStreamEvent(res, 'update', update);
+  }
+}
+
+/**
+ * 向所有订阅者推送 VAR 会话状态变化
+ */
+function broadcastSession(session) {
+  for (const res of streamClients) {
+    sendStreamEvent(res, 'session', session);
+  }
+}
+
+/**
+ * SSE 订阅：连接后先发送全量快照，之后每次刷新推送增量
+ */
+function handleStream(req, res) {
+  // 长连接不受请求超时限制
+  req.setTimeout(0);
+  res.setTimeout(0);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.write('retry: 5000\n\n');
+  sendStreamEvent(res, 'snapshot', {
+    opportunities: getCachedOpportunities(),
+    ...getRefreshTimes(),
+    varSession: getVarSession(),
+  });
+
+  streamClients.add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamClients.delete(res);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 基于最新数据响应查询接口，handler 返回 null 时按404处理
+ * @param {http.ServerResponse} res - 响应
+ * @param {Function} handler - (opportunities) => 响应体
+ */
+function respondWithData(res, handler) {
+  fetchArbitrageData()
+    .then(data => {
+      if (res.writableEnded) return;
+      const body = handler(data);
+      if (body === null) {
+        sendJson(res, 404, { error: 'Not Found' });
+        return;
+      }
+      sendJson(res, 200, { ...body, ...getRefreshTimes() });
+    })
+    .catch(err => {
+      // 参数错误带 status=400，其余视为服务端错误
+      const status = err.status || 500;
+      if (status >= 500) console.error(`[HTTP] API请求失败: ${err.message}`);
+      if (res.writableEnded) return;
+      sendJson(res, status, { error: err.message });
+    });
+}
+
 function handleRequest(req, res) {
   // 请求级别错误处理
   try {
@@ -582,7 +1151,10 @@ function handleRequest(req, res) {
       console.error(`[HTTP] 响应错误: ${err.message}`);
     });
 
-    if (req.url === '/' || req.url === '/index.html') {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const symbolMatch = pathname.match(/^\/api\/opportunities\/([^/]+)$/);
+
+    if (pathname === '/' || pathname === '/index.html') {
       fetchArbitrageData()
         .then(data => {
           if (res.writableEnded) return;
@@ -595,15 +1167,27 @@ function handleRequest(req, res) {
           res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
           res.end('服务暂时不可用，请稍后重试: ' + err.message);
         });
-    } else if (req.url === '/api/data') {
+    } else if (pathname === '/api/opportunities') {
+      respondWithData(res, data => queryOpportunities(data, searchParams));
+    } else if (symbolMatch) {
+      respondWithData(res, data => {
+        const opportunity = findOpportunity(data, decodeSymbolParam(symbolMatch[1]));
+        return opportunity ? { opportunity } : null;
+      });
+    } else if (pathname === '/api/symbols') {
+      respondWithData(res, data => {
+        const symbols = listSymbols(data);
+        return { total: symbols.length, symbols };
+      });
+    } else if (pathname === '/api/data') {
       fetchArbitrageData()
         .then(data => {
           if (res.writableEnded) return;
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
             opportunities: data,
-            varRefreshTime: lastVarRefreshTime ? lastVarRefreshTime.toISOString() : null,
-            binanceRefreshTime: lastBinanceRefreshTime ? lastBinanceRefreshTime.toISOString() : null,
+            ...getRefreshTimes(),
+            varSession: getVarSession(),
           }));
         })
         .catch(err => {
@@ -612,7 +1196,24 @@ function handleRequest(req, res) {
           res.writeHead(500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: err.message }));
         });
-    } else if (req.url === '/health') {
+    } else if (pathname === '/api/portfolio') {
+      getPortfolio()
+        .then(portfolio => {
+          if (res.writableEnded) return;
+          sendJson(res, 200, portfolio);
+        })
+        .catch(err => {
+          // 账户接口失败（如未登录）或返回格式不符，属于上游错误
+          console.error(`[HTTP] 持仓获取失败: ${err.message}`);
+          if (res.writableEnded) return;
+          sendJson(res, 502, { error: err.message, code: err.code });
+        });
+    } else if (pathname === '/api/stream') {
+      handleStream(req, res);
+    } else if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderMetrics());
+    } else if (pathname === '/health') {
       // 健康检查端点
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
@@ -620,8 +1221,13 @@ function handleRequest(req, res) {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         cachedData: cachedData ? cachedData.length : 0,
+        streamClients: streamClients.size,
+        browserClients: getBrowserClients(),
+        varSession: getVarSession(),
         lastVarRefresh: lastVarRefreshTime ? lastVarRefreshTime.toISOString() : null,
-        lastBinanceRefresh: lastBinanceRefreshTime ? lastBinanceRefreshTime.toISOString() : null,
+        lastVenueRefresh: Object.fromEntries(
+          Object.entries(lastVenueRefreshTimes).map(([venue, time]) => [venue, time.toISOString()])
+        ),
       }));
     } else {
       res.writeHead(404);
@@ -645,9 +1251,21 @@ async function refreshDataPeriodically() {
     console.log(`[AUTO] 开始定时刷新数据...`);
     // 强制刷新缓存
     lastFetchTime = 0;
-    const opportunities = await fetchArbitrageData();
+    const previousData = cachedData;
+    // 定时刷新优先于页面触发的请求和深度报价
+    const opportunities = await trackRefresh('total', fetchArbitrageData({ priority: PRIORITY.HIGH }));
     console.log(`[AUTO] 数据刷新完成 - ${new Date().toLocaleTimeString()}, 共 ${opportunities.length} 个交易对`);
 
+    // 保存历史快照 - 获取失败回退到缓存时不重复写入
+    if (opportunities !== previousData) {
+      try {
+        const count = await appendSnapshot(opportunities);
+        console.log(`[HISTORY] 已保存 ${count} 条记录`);
+      } catch (historyErr) {
+        console.error(`[HISTORY] 保存历史失败: ${historyErr.message}`);
+      }
+    }
+
     // 处理 Telegram 机器人通知 - 单独 try-catch 防止影响主流程
     try {
       await checkAndNotify(opportunities);
@@ -661,6 +1279,13 @@ async function refreshDataPeriodically() {
 }
 
 async function main() {
+  // 未配置密钥时拒绝启动，避免任意本地进程或网页接管浏览器代理
+  if (!config.bridgeToken) {
+    console.error('[MAIN] 未设置 bridgeToken，请在配置文件、环境变量 BRIDGE_TOKEN 或 --bridge-token 中设置，并在插件选项页填写相同的值');
+    process.exit(1);
+  }
+  await startServer();
+
   // 等待浏览器连接 - 无限重试
   while (true) {
     try {
@@ -683,6 +1308,25 @@ async function main() {
     console.error(`[MAIN] Telegram机器人启动失败: ${botErr.message}`);
   }
 
+  // VAR 登录失效、人机验证及恢复时通知管理员和看板
+  onVarSessionChange(session => {
+    broadcastSession(session);
+    notifyAdmin(session.message).catch(err => {
+      console.error(`[MAIN] 管理员通知失败: ${err.message}`);
+    });
+  });
+
+  // Binance 实时推送，不可用时适配器自动回退到 REST 轮询
+  if (config.binanceStream && config.hedgeExchanges.includes('binance')) {
+    startBinanceStream();
+  }
+
+  // VAR 页面推送，未收到推送的资产仍使用轮询数据
+  if (config.varStream) {
+    onVarStreamUpdate(applyVarStreamToCache);
+    startVarStream();
+  }
+
   // 初始拉取一次数据 - 失败不阻止服务启动
   try {
     await refreshDataPeriodically();
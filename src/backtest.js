@@ -0,0 +1,336 @@
+/**
+ * 资金费率套利回测引擎
+ * 用历史费率（本地记录 + Binance fundingRate 历史）逐次结算回放套利策略
+ *
+ * 命令行用法:
+ *   node src/backtest.js <symbol> [--venue binance] [--trigger 0.1] [--exit 0.01] [--days 7]
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchJson } from './httpClient.js';
+import { toDailyRate, getNextFundingTime, getSettlementFunding } from './fundingUtils.js';
+import { querySymbolHistory } from './historyStore.js';
+import { getRoundTripCost } from './costModel.js';
+import { getInstrument } from './symbolRegistry.js';
+
+const BINANCE_FUNDING_HISTORY_API = 'https://fapi.binance.com/fapi/v1/fundingRate';
+const DAY_MS = 86400000;
+
+/**
+ * 下载 Binance 历史结算费率（分页拉取）
+ * @param {string} symbol - 基础币种，如 'BTC'
+ * @param {Object} range - 时间范围
+ * @param {number} range.from - 开始时间戳（毫秒）
+ * @param {number} range.to - 结束时间戳（毫秒）
+ * @returns {Promise<Array<{time: number, rate: number}>>} 结算记录，费率为百分比
+ */
+export async function fetchBinanceFundingHistory(symbol, { from, to }) {
+  const settlements = [];
+  const { instrument } = getInstrument('binance', symbol);
+  let startTime = from;
+
+  // 每页最多1000条，防御性上限避免死循环
+  for (let page = 0; page < 50 && startTime <= to; page++) {
+    const url = `${BINANCE_FUNDING_HISTORY_API}?symbol=${instrument}&startTime=${startTime}&endTime=${to}&limit=1000`;
+    const data = await fetchJson(url);
+    if (!Array.isArray(data)) {
+      throw new Error(`Binance fundingRate 返回错误: ${data?.msg || 'unknown'}`);
+    }
+    if (data.length === 0) break;
+
+    for (const item of data) {
+      settlements.push({ time: item.fundingTime, rate: parseFloat(item.fundingRate) * 100 || 0 });
+    }
+    startTime = data[data.length - 1].fundingTime + 1;
+    if (data.length < 1000) break;
+  }
+
+  return settlements;
+}
+
+/**
+ * 由记录的快照推算结算事件
+ * 每个结算时点使用严格早于该时点的最近一次记录的费率
+ * @param {Array<{time: number, rate: number, interval: number}>} snapshots - 按时间升序的费率快照
+ * @param {string} source - 结算来源 VAR | HEDGE
+ * @param {number} to - 结束时间戳（毫秒）
+ * @returns {Array} 结算事件
+ */
+function settlementsFromSnapshots(snapshots, source, to) {
+  const events = [];
+  if (snapshots.length === 0) return events;
+
+  let idx = 0;
+  let next = getNextFundingTime(new Date(snapshots[0].time), snapshots[0].interval).getTime();
+  while (next <= to) {
+    // 恰好在结算时点记录的快照属于结算之后，不参与本次结算
+    while (idx + 1 < snapshots.length && snapshots[idx + 1].time < next) idx++;
+    const snapshot = snapshots[idx];
+    events.push({ time: next, type: 'SETTLEMENT', source, rate: snapshot.rate });
+    next += snapshot.interval * 1000;
+  }
+  return events;
+}
+
+/**
+ * 计算某方向的预估日收益率
+ * @param {Object} rates - 当前已知费率
+ * @param {string} direction - SHORT_VAR | SHORT_HEDGE
+ * @returns {number} 日收益率（百分比）
+ */
+function estimateDailyYield(rates, direction) {
+  const dailyDiff = toDailyRate(rates.varRate, rates.varInterval) - toDailyRate(rates.hedgeRate, rates.hedgeInterval);
+  return direction === 'SHORT_VAR' ? dailyDiff : -dailyDiff;
+}
+
+/**
+ * 回放结算事件
+ * @param {Object} params - 参数
+ * @param {Array} params.varSnapshots - VAR费率快照 [{time, rate, interval}]
+ * @param {Array} params.hedgeSnapshots - 对冲所费率快照 [{time, rate, interval}]
+ * @param {Array} params.hedgeSettlements - 对冲所实际结算 [{time, rate}]，提供时替代快照推算
+ * @param {number} params.hedgeInterval - 对冲所费率周期（秒），仅在没有对冲所快照时使用
+ * @param {number} params.trigger - 开仓阈值，日收益率（百分比）
+ * @param {number} params.exit - 平仓阈值，日收益率（百分比）
+ * @param {number} params.from - 开始时间戳（毫秒）
+ * @param {number} params.to - 结束时间戳（毫秒）
+ * @param {number} params.positionSize - 仓位大小（USDT）
+ * @param {number} params.entryCost - 每次开仓成本（仓位百分比）
+ * @param {number} params.exitCost - 每次平仓成本（仓位百分比）
+ * @returns {Object} 回测结果
+ */
+export function runBacktest(params) {
+  const {
+    varSnapshots,
+    hedgeSnapshots = [],
+    hedgeSettlements = null,
+    hedgeInterval = 28800,
+    trigger,
+    exit,
+    from,
+    to,
+    positionSize = 10000,
+    entryCost = 0,
+    exitCost = 0,
+  } = params;
+
+  if (!(trigger > exit)) {
+    throw new Error('触发值必须大于退出值');
+  }
+  if (varSnapshots.length === 0) {
+    throw new Error('没有VAR历史数据');
+  }
+
+  const hedgeEvents = hedgeSettlements
+    ? hedgeSettlements.filter(s => s.time >= from && s.time <= to)
+      .map(s => ({ time: s.time, type: 'SETTLEMENT', source: 'HEDGE', rate: s.rate }))
+    : settlementsFromSnapshots(hedgeSnapshots, 'HEDGE', to);
+
+  // 实际结算同样作为对冲所费率的最新已知值
+  const hedgeRateUpdates = hedgeSettlements && hedgeSnapshots.length === 0
+    ? hedgeEvents.map(e => ({ time: e.time, rate: e.rate, interval: hedgeInterval }))
+    : hedgeSnapshots;
+
+  // 同一时间点：先结算（使用此前的费率），再更新费率，最后做决策
+  const order = { SETTLEMENT: 0, VAR_RATE: 1, HEDGE_RATE: 1 };
+  const events = [
+    ...settlementsFromSnapshots(varSnapshots, 'VAR', to),
+    ...hedgeEvents,
+    ...varSnapshots.map(s => ({ ...s, type: 'VAR_RATE' })),
+    ...hedgeRateUpdates.map(s => ({ ...s, type: 'HEDGE_RATE' })),
+  ]
+    .filter(e => e.time >= from && e.time <= to)
+    .sort((a, b) => a.time - b.time || order[a.type] - order[b.type]);
+
+  const rates = { varRate: null, varInterval: null, hedgeRate: null, hedgeInterval: null };
+  let direction = 'NONE';
+  let entryTime = null;
+  let entryEquity = 0;
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let flips = 0;
+  let timeInTradeMs = 0;
+  let settlementCount = 0;
+  let totalCost = 0;
+  const trades = [];
+  const equityCurve = [];
+
+  const toUsd = pct => (positionSize * pct) / 100;
+
+  function applyCost(cost) {
+    equity -= cost;
+    totalCost += cost;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+
+  function closeTrade(time) {
+    applyCost(exitCost);
+    timeInTradeMs += time - entryTime;
+    trades.push({ direction, entryTime, exitTime: time, pnl: toUsd(equity - entryEquity) });
+  }
+
+  function openTrade(time, newDirection) {
+    direction = newDirection;
+    entryTime = time;
+    entryEquity = equity;
+    applyCost(entryCost);
+  }
+
+  for (const event of events) {
+    if (event.type === 'SETTLEMENT') {
+      if (direction === 'NONE') continue;
+      equity += getSettlementFunding(event.source, event.rate, direction);
+      settlementCount++;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      equityCurve.push({ time: event.time, equity });
+      continue;
+    }
+
+    if (event.type === 'VAR_RATE') {
+      rates.varRate = event.rate;
+      rates.varInterval = event.interval;
+    } else {
+      rates.hedgeRate = event.rate;
+      rates.hedgeInterval = event.interval;
+    }
+    if (rates.varRate === null || rates.hedgeRate === null) continue;
+
+    const shortVarYield = estimateDailyYield(rates, 'SHORT_VAR');
+    const bestDirection = shortVarYield >= 0 ? 'SHORT_VAR' : 'SHORT_HEDGE';
+    const bestYield = Math.abs(shortVarYield);
+
+    if (direction === 'NONE') {
+      if (bestYield >= trigger) openTrade(event.time, bestDirection);
+    } else if (bestDirection !== direction && bestYield >= trigger) {
+      // 反向机会达到触发值，直接反手
+      closeTrade(event.time);
+      openTrade(event.time, bestDirection);
+      flips++;
+    } else if (estimateDailyYield(rates, direction) < exit) {
+      closeTrade(event.time);
+      direction = 'NONE';
+    }
+  }
+
+  if (direction !== 'NONE') closeTrade(to);
+
+  return {
+    from,
+    to,
+    trigger,
+    exit,
+    positionSize,
+    realizedPnl: toUsd(equity),
+    realizedPnlPercent: equity,
+    tradingCost: toUsd(totalCost),
+    maxDrawdown: toUsd(maxDrawdown),
+    maxDrawdownPercent: maxDrawdown,
+    flips,
+    tradeCount: trades.length,
+    settlementCount,
+    timeInTradeMs,
+    timeInTradeRatio: to > from ? timeInTradeMs / (to - from) : 0,
+    trades,
+    equityCurve,
+  };
+}
+
+/**
+ * 使用本地记录（及 Binance 历史结算）回测单个交易对
+ * @param {Object} params - 参数
+ * @param {string} params.symbol - 交易对
+ * @param {string} params.venue - 对冲交易所id，默认 binance
+ * @param {number} params.trigger - 开仓阈值，日收益率（百分比）
+ * @param {number} params.exit - 平仓阈值，日收益率（百分比）
+ * @param {number} params.days - 回测天数，默认7天
+ * @param {number} params.positionSize - 仓位大小（USDT）
+ * @returns {Promise<Object>} 回测结果
+ */
+export async function backtestSymbol(params) {
+  const { symbol, venue = 'binance', trigger, exit, days = 7, positionSize } = params;
+  const to = Date.now();
+  const from = to - days * DAY_MS;
+
+  const records = await querySymbolHistory(symbol, { from, to });
+  const varSnapshots = records.map(r => ({
+    time: new Date(r.time).getTime(),
+    rate: r.var.rate,
+    interval: r.var.interval,
+  }));
+  const hedgeSnapshots = records
+    .filter(r => r.venues?.[venue])
+    .map(r => ({
+      time: new Date(r.time).getTime(),
+      rate: r.venues[venue].rate,
+      interval: r.venues[venue].interval,
+    }));
+
+  let hedgeSettlements = null;
+  if (venue === 'binance') {
+    try {
+      hedgeSettlements = await fetchBinanceFundingHistory(symbol, { from, to });
+    } catch (err) {
+      console.error(`[BACKTEST] 下载Binance历史费率失败，改用本地记录: ${err.message}`);
+    }
+  }
+
+  return {
+    symbol,
+    venue,
+    ...runBacktest({
+      varSnapshots,
+      hedgeSnapshots,
+      hedgeSettlements,
+      hedgeInterval: hedgeSnapshots[hedgeSnapshots.length - 1]?.interval,
+      trigger,
+      exit,
+      from,
+      to,
+      positionSize,
+      ...getRoundTripCost(venue),
+    }),
+  };
+}
+
+function parseArgs(argv) {
+  const args = { symbol: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.symbol) {
+    console.log('用法: node src/backtest.js <symbol> [--venue binance] [--trigger 0.1] [--exit 0.01] [--days 7]');
+    process.exit(1);
+  }
+
+  const result = await backtestSymbol({
+    symbol: args.symbol,
+    venue: args.venue,
+    trigger: parseFloat(args.trigger ?? '0.1'),
+    exit: parseFloat(args.exit ?? '0.01'),
+    days: parseFloat(args.days ?? '7'),
+  });
+
+  const hours = ms => (ms / 3600000).toFixed(1);
+  console.log(`回测 ${result.symbol} (VAR vs ${result.venue})`);
+  console.log(`区间: ${new Date(result.from).toISOString()} ~ ${new Date(result.to).toISOString()}`);
+  console.log(`阈值: 触发 ${result.trigger}% / 退出 ${result.exit}%`);
+  console.log(`已实现收益: $${result.realizedPnl.toFixed(2)} (${result.realizedPnlPercent.toFixed(4)}%)，含交易成本 $${result.tradingCost.toFixed(2)}`);
+  console.log(`最大回撤: $${result.maxDrawdown.toFixed(2)} (${result.maxDrawdownPercent.toFixed(4)}%)`);
+  console.log(`交易次数: ${result.tradeCount}, 反手次数: ${result.flips}, 结算次数: ${result.settlementCount}`);
+  console.log(`持仓时间: ${hours(result.timeInTradeMs)}h (${(result.timeInTradeRatio * 100).toFixed(1)}%)`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(`[BACKTEST] 回测失败: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Binance 标记价格实时推送
+ * 订阅 !markPrice@arr 全市场流，在内存中维护每个合约最新的标记价格、费率和下次结算时间。
+ * 断线后指数退避重连；超过 STALE_TIMEOUT 未收到消息视为连接假死，主动断开重连。
+ * 推送数据过期时 getStreamRates 返回 null，由调用方回退到 REST 轮询。
+ */
+import WebSocket from 'ws';
+import { config } from './config.js';
+import { getProxyAgent, testProxyConnection } from './httpClient.js';
+import { createGauge } from './metrics.js';
+
+const STALE_TIMEOUT = 30000;      // 30秒无消息则重连（正常每秒一条）
+const HEARTBEAT_INTERVAL = 10000; // 检查间隔
+const RECONNECT_BASE = 1000;
+const RECONNECT_MAX = 60000;
+
+// instrument -> 最新推送数据
+const rateMap = new Map();
+let socket = null;
+let running = false;
+let streamUrl = null;
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageTime = 0;
+
+createGauge('binance_stream_connected', 'Binance 推送连接是否可用', {
+  collect: gauge => gauge.set({}, socket?.readyState === WebSocket.OPEN ? 1 : 0),
+});
+createGauge('binance_stream_age_seconds', 'Binance 推送最后一条消息距今的时间', {
+  collect: gauge => {
+    if (lastMessageTime) gauge.set({}, (Date.now() - lastMessageTime) / 1000);
+  },
+});
+
+/**
+ * 处理一条推送，数组中每项为一个合约的 markPriceUpdate
+ */
+function handleMessage(data) {
+  let updates;
+  try {
+    updates = JSON.parse(data.toString());
+  } catch (err) {
+    console.error(`[BINANCE-WS] 解析消息失败: ${err.message}`);
+    return;
+  }
+  if (!Array.isArray(updates)) return;
+
+  lastMessageTime = Date.now();
+  for (const item of updates) {
+    if (item.e !== 'markPriceUpdate' || !item.s) continue;
+    rateMap.set(item.s, {
+      instrument: item.s,
+      markPrice: parseFloat(item.p) || 0,
+      indexPrice: parseFloat(item.i) || 0,
+      fundingRate: parseFloat(item.r) * 100 || 0,
+      fundingTime: item.T ? new Date(item.T).toISOString() : null,
+      updatedAt: item.E || lastMessageTime,
+    });
+  }
+}
+
+function clearTimers() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+}
+
+function scheduleReconnect() {
+  if (!running || reconnectTimer) return;
+  const delay = Math.min(RECONNECT_BASE * Math.pow(2, reconnectAttempt), RECONNECT_MAX);
+  reconnectAttempt++;
+  console.log(`[BINANCE-WS] ${delay / 1000}秒后重连 (第${reconnectAttempt}次)`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch(handleConnectError);
+  }, delay);
+}
+
+function handleConnectError(err) {
+  console.error(`[BINANCE-WS] 连接失败: ${err.message}`);
+  socket = null;
+  scheduleReconnect();
+}
+
+async function connect() {
+  if (!running) return;
+
+  // 远程地址走本地代理（与 REST 请求一致），本地测试地址直连
+  const options = {};
+  if (streamUrl.startsWith('wss:') && await testProxyConnection()) {
+    options.agent = getProxyAgent();
+  }
+  if (!running) return;
+
+  console.log(`[BINANCE-WS] 正在连接 ${streamUrl}`);
+  const ws = new WebSocket(streamUrl, options);
+  socket = ws;
+
+  ws.on('open', () => {
+    console.log('[BINANCE-WS] 已连接');
+    reconnectAttempt = 0;
+    lastMessageTime = Date.now();
+
+    heartbeatTimer = setInterval(() => {
+      if (Date.now() - lastMessageTime > STALE_TIMEOUT) {
+        console.log(`[BINANCE-WS] ${STALE_TIMEOUT / 1000}秒未收到消息，断开重连`);
+        ws.terminate();
+      }
+    }, HEARTBEAT_INTERVAL);
+  });
+
+  // 服务端每3分钟发送的ping由 ws 库自动回复pong
+  ws.on('message', handleMessage);
+
+  ws.on('close', (code) => {
+    console.log(`[BINANCE-WS] 连接已关闭 (code: ${code})`);
+    if (socket === ws) socket = null;
+    clearTimers();
+    scheduleReconnect();
+  });
+
+  ws.on('error', (err) => {
+    // error 之后必然触发 close，重连在 close 中处理
+    console.error(`[BINANCE-WS] 连接错误: ${err.message}`);
+  });
+}
+
+/**
+ * 启动推送订阅
+ * @param {Object} options - 选项
+ * @param {string} options.url - 推送地址，默认取 config.binanceStreamUrl（可指向本地模拟服务器）
+ */
+export function startBinanceStream(options = {}) {
+  if (running) return;
+  running = true;
+  streamUrl = options.url || config.binanceStreamUrl;
+  reconnectAttempt = 0;
+  connect().catch(handleConnectError);
+}
+
+/**
+ * 停止推送订阅并清空缓存
+ */
+export function stopBinanceStream() {
+  running = false;
+  clearTimers();
+  if (socket) {
+    socket.terminate();
+    socket = null;
+  }
+  rateMap.clear();
+  lastMessageTime = 0;
+}
+
+/**
+ * 推送数据是否可用（已连接且未过期）
+ */
+export function isBinanceStreamFresh() {
+  return socket?.readyState === WebSocket.OPEN
+    && rateMap.size > 0
+    && Date.now() - lastMessageTime <= STALE_TIMEOUT;
+}
+
+/**
+ * 获取推送维护的费率快照
+ * @returns {Array<Object>|null} 与 REST 相同结构的费率列表（不含周期），不可用时返回 null
+ */
+export function getStreamRates() {
+  if (!isBinanceStreamFresh()) return null;
+  return [...rateMap.values()].map(({ updatedAt, ...rate }) => rate);
+}
@@ -2,6 +2,9 @@ import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { getTimeToFunding } from './fundingUtils.js';
+import { createCounter } from './metrics.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -16,6 +19,8 @@ const BOT_TOKEN = process.env.BOT_TOKEN;
 console.log('BOT_TOKEN=',BOT_TOKEN);
 const TG_API = `https://api.telegram.org/bot${BOT_TOKEN}`;
 
+const sendFailures = createCounter('telegram_send_failures_total', 'Telegram 消息发送失败次数');
+
 // 订阅数据结构: { chatId: { trigger: 0.1, exit: 0.01, triggered: { symbol: true } } }
 let subscriptions = {};
 
@@ -56,8 +61,14 @@ async function sendMessage(chatId, text, options = {}) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body),
     });
-    return await res.json();
+    const data = await res.json();
+    if (!data.ok) {
+      sendFailures.inc();
+      console.error('[BOT] 发送消息失败:', data.description);
+    }
+    return data;
   } catch (err) {
+    sendFailures.inc();
     console.error('[BOT] 发送消息失败:', err.message);
   }
 }
@@ -80,6 +91,11 @@ function parsePercent(str) {
   return null;
 }
 
+// 两条腿的下次结算倒计时
+function formatFundingCountdown(opp) {
+  return `VAR ${getTimeToFunding(opp.varNextFundingTime).text} | ${opp.hedgeName} ${getTimeToFunding(opp.hedgeNextFundingTime).text}`;
+}
+
 async function handleCommand(message) {
   const chatId = message.chat.id;
   const text = (message.text || '').trim();
@@ -95,7 +111,7 @@ async function handleCommand(message) {
   当日收益率 ≥ 0.1% 时推送
   推送后直到日收益率 &lt; 0.01% 才会再次推送
 
-/list - 查看当前日收益 Top5 套利对
+/list - 查看当前净收益 Top5 套利对（已扣除手续费和滑点）
 
 /status - 查看当前订阅状态
 
@@ -133,7 +149,7 @@ async function handleCommand(message) {
 触发阈值: <b>${trigger}%</b>
 退出阈值: <b>${exit}%</b>
 
-当套利对日收益率 ≥ ${trigger}% 时将推送通知`);
+当套利对扣除成本后的日收益率 ≥ ${trigger}% 时将推送通知`);
     return;
   }
 
@@ -177,6 +193,7 @@ async function handleCommand(message) {
 
     const top5 = opportunities
       .filter(o => o.direction !== 'NONE')
+      .sort((a, b) => b.netDailyProfit - a.netDailyProfit)
       .slice(0, 5);
 
     if (top5.length === 0) {
@@ -184,14 +201,17 @@ async function handleCommand(message) {
       return;
     }
 
-    let text = '<b>📊 日收益 Top5 套利对</b>\n\n';
+    let text = '<b>📊 净收益 Top5 套利对</b>\n\n';
     top5.forEach((o, i) => {
-      const profit = o.dailyProfit / 10000 * 100; // 日收益率 %
-      const emoji = profit >= 0.1 ? '🔥' : profit >= 0.05 ? '✨' : '📈';
+      const profit = o.dailyProfit / o.positionSize * 100; // 日收益率 %
+      const netProfit = o.netDailyProfit / o.positionSize * 100; // 扣除成本后的日收益率 %
+      const emoji = netProfit >= 0.1 ? '🔥' : netProfit >= 0.05 ? '✨' : '📈';
       text += `${i + 1}. ${emoji} <b>${o.symbol}</b>\n`;
-      text += `   日收益: <b>${profit >= 0 ? '+' : ''}${profit.toFixed(4)}%</b>\n`;
+      text += `   净收益: <b>${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(4)}%</b> (毛收益 ${profit >= 0 ? '+' : ''}${profit.toFixed(4)}%)\n`;
+      text += `   回本时间: ${o.breakEvenHours === null ? '不回本' : o.breakEvenHours.toFixed(1) + 'h'}\n`;
       text += `   策略: ${o.strategy}\n`;
-      text += `   VAR: ${o.varRate >= 0 ? '+' : ''}${o.varRate.toFixed(4)}% | Binance: ${o.binanceRate >= 0 ? '+' : ''}${o.binanceRate.toFixed(4)}%\n\n`;
+      text += `   VAR: ${o.varRate >= 0 ? '+' : ''}${o.varRate.toFixed(4)}% | ${o.hedgeName}: ${o.hedgeRate >= 0 ? '+' : ''}${o.hedgeRate.toFixed(4)}%\n`;
+      text += `   下次结算: ${formatFundingCountdown(o)}\n\n`;
     });
 
     await sendMessage(chatId, text);
@@ -200,6 +220,12 @@ async function handleCommand(message) {
 }
 
 
+// 发送运维通知给管理员（config.telegramAdminChatId），纯文本发送，未配置时忽略
+export async function notifyAdmin(text) {
+  if (!config.telegramAdminChatId) return;
+  await sendMessage(config.telegramAdminChatId, text, { parse_mode: undefined });
+}
+
 // 检查套利机会并推送（由主程序调用）
 export async function checkAndNotify(opportunities) {
   for (const [chatId, sub] of Object.entries(subscriptions)) {
@@ -208,33 +234,37 @@ export async function checkAndNotify(opportunities) {
     for (const opp of opportunities) {
       if (opp.direction === 'NONE') continue;
 
-      const profit = opp.dailyProfit / 10000 * 100; // 日收益率 %
+      const profit = opp.dailyProfit / opp.positionSize * 100; // 日收益率 %
+      const netProfit = opp.netDailyProfit / opp.positionSize * 100;
       const symbol = opp.symbol;
 
       if (triggered[symbol]) {
         // 已触发过，检查是否退出
-        if (profit < sub.exit) {
+        if (netProfit < sub.exit) {
           delete triggered[symbol];
           console.log(`[BOT] ${symbol} 已退出阈值，用户 ${chatId} 可再次接收`);
         }
       } else {
-        // 未触发，检查是否达到触发值
-        if (profit >= sub.trigger) {
+        // 未触发，检查是否达到触发值（按扣除成本后的净收益，与 /list 排序一致）
+        if (netProfit >= sub.trigger) {
           triggered[symbol] = true;
           console.log(`[BOT] ${symbol} 触发推送，用户 ${chatId}`);
 
           const text = `🚨 <b>套利机会!</b>
 
 <b>${symbol}</b>
-日收益: <b>${profit >= 0 ? '+' : ''}${profit.toFixed(4)}%</b>
+净收益: <b>${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(4)}%</b> (已扣除手续费和滑点)
+毛收益: ${profit >= 0 ? '+' : ''}${profit.toFixed(4)}%
 年化差: ${opp.annualDiff >= 0 ? '+' : ''}${opp.annualDiff.toFixed(2)}%
 
 <b>策略:</b> ${opp.strategy}
 VAR费率: ${opp.varRate >= 0 ? '+' : ''}${opp.varRate.toFixed(4)}%
-Binance费率: ${opp.binanceRate >= 0 ? '+' : ''}${opp.binanceRate.toFixed(4)}%
+${opp.hedgeName}费率: ${opp.hedgeRate >= 0 ? '+' : ''}${opp.hedgeRate.toFixed(4)}%
 
 VAR价格: $${opp.varPrice.toFixed(4)}
-Binance价格: $${opp.binancePrice.toFixed(4)}`;
+${opp.hedgeName}价格: $${opp.hedgePrice.toFixed(4)}
+
+下次结算: ${formatFundingCountdown(opp)}`;
 
           await sendMessage(chatId, text);
         }
@@ -0,0 +1,293 @@
+/**
+ * 集中配置
+ * 优先级（后者覆盖前者）: 默认值 < 配置文件 < 环境变量 < 命令行参数
+ *
+ * 配置文件默认读取当前目录下的 config.json（不存在则跳过），
+ * 可通过 --config <path> 或环境变量 VAR_SDK_CONFIG 指定。
+ * 命令行参数形如 --http-port 10242 或 --http-port=10242。
+ * 任一配置项无效时打印错误并退出，避免带着错误配置运行。
+ */
+import fs from 'fs';
+import path from 'path';
+
+// 已实现适配器的对冲交易所
+const KNOWN_EXCHANGES = ['binance', 'bybit', 'okx', 'hyperliquid'];
+const KNOWN_QUOTES = ['USDT', 'USDC'];
+
+// 各交易所手续费（百分比），按普通用户费率；配置中按交易所覆盖，未覆盖的沿用此处
+const DEFAULT_VENUE_FEES = {
+  var: { maker: 0, taker: 0 },
+  binance: { maker: 0.02, taker: 0.05 },
+  bybit: { maker: 0.02, taker: 0.055 },
+  okx: { maker: 0.02, taker: 0.05 },
+  hyperliquid: { maker: 0.015, taker: 0.045 },
+};
+
+/**
+ * 配置项定义
+ * key: 配置文件中的字段名；env: 环境变量名；flag: 命令行参数名
+ */
+const SCHEMA = {
+  httpPort: { type: 'port', env: 'HTTP_PORT', flag: 'http-port', default: 10241 },
+  wsPort: { type: 'port', env: 'WS_PORT', flag: 'ws-port', default: 8766 },
+  proxyUrl: { type: 'url', env: 'PROXY_URL', flag: 'proxy-url', default: 'http://127.0.0.1:10809' },
+  cacheTtl: { type: 'number', env: 'CACHE_TTL', flag: 'cache-ttl', min: 0, default: 30000 },
+  autoRefreshInterval: { type: 'number', env: 'AUTO_REFRESH_INTERVAL', flag: 'refresh-interval', min: 10000, default: 5 * 60 * 1000 },
+  positionSize: { type: 'number', env: 'POSITION_SIZE', flag: 'position-size', min: 1, default: 10000 },
+  directionThreshold: { type: 'number', env: 'DIRECTION_THRESHOLD', flag: 'direction-threshold', min: 0, default: 0.01 },
+  hotAnnualThreshold: { type: 'number', env: 'HOT_ANNUAL_THRESHOLD', flag: 'hot-threshold', min: 0, default: 50 },
+  hedgeExchanges: { type: 'list', env: 'HEDGE_EXCHANGES', flag: 'hedge-exchanges', values: KNOWN_EXCHANGES, default: KNOWN_EXCHANGES },
+  slippageBps: { type: 'number', env: 'SLIPPAGE_BPS', flag: 'slippage-bps', min: 0, default: 5 },
+  // 手续费覆盖 { venue: { maker, taker } }（百分比），与默认费率按交易所合并
+  venueFees: { type: 'fees', env: 'VENUE_FEES', flag: 'venue-fees', default: DEFAULT_VENUE_FEES },
+  depthBudgetBps: { type: 'number', env: 'DEPTH_BUDGET_BPS', flag: 'depth-budget-bps', min: 0, default: 20 },
+  depthTopN: { type: 'number', env: 'DEPTH_TOP_N', flag: 'depth-top-n', min: 0, default: 10 },
+  preferredQuotes: { type: 'list', env: 'PREFERRED_QUOTES', flag: 'preferred-quotes', values: KNOWN_QUOTES, default: KNOWN_QUOTES },
+  // 交易对手动映射 { venue: { 合约名: { asset, multiplier, quote } | null } }，null 表示排除
+  symbolOverrides: { type: 'overrides', env: 'SYMBOL_OVERRIDES', flag: 'symbol-overrides', default: {} },
+  binanceStream: { type: 'boolean', env: 'BINANCE_STREAM', flag: 'binance-stream', default: true },
+  binanceStreamUrl: { type: 'wsUrl', env: 'BINANCE_STREAM_URL', flag: 'binance-stream-url', default: 'wss://fstream.binance.com/ws/!markPrice@arr@1s' },
+  // 浏览器插件连接本地WebSocket时的共享密钥，需与插件选项页中填写的一致
+  bridgeToken: { type: 'string', env: 'BRIDGE_TOKEN', flag: 'bridge-token', minLength: 16, default: '' },
+  // 允许连接的来源（Origin 前缀），没有 Origin 的本地进程仍需通过密钥认证
+  bridgeAllowedOrigins: { type: 'list', env: 'BRIDGE_ALLOWED_ORIGINS', flag: 'bridge-allowed-origins', default: ['chrome-extension://', 'https://omni.variational.io'] },
+  // 每个浏览器客户端同时处理的RPC请求数，超出的按优先级排队
+  browserConcurrency: { type: 'number', env: 'BROWSER_CONCURRENCY', flag: 'browser-concurrency', min: 1, default: 4 },
+  // 单个RPC结果的最大字节数（分块重组和解压后），也是单条WebSocket消息的上限
+  browserMaxResponseSize: { type: 'number', env: 'BROWSER_MAX_RESPONSE_SIZE', flag: 'browser-max-response-size', min: 1024 * 1024, default: 32 * 1024 * 1024 },
+  varStream: { type: 'boolean', env: 'VAR_STREAM', flag: 'var-stream', default: true },
+  // 监听页面中URL包含该字符串的WebSocket
+  varStreamMatch: { type: 'string', env: 'VAR_STREAM_MATCH', flag: 'var-stream-match', default: 'variational.io' },
+  // 只解析 channel（或 type）以这些前缀开头的推送消息，其余如订单、成交消息忽略
+  varStreamChannels: { type: 'list', env: 'VAR_STREAM_CHANNELS', flag: 'var-stream-channels', default: ['instrument_price'] },
+  // 设置后改为在页面中用原生WebSocket单独连接该地址，而不是监听页面已有连接
+  varStreamUrl: { type: 'wsUrl', env: 'VAR_STREAM_URL', flag: 'var-stream-url', default: '' },
+  // 接收 VAR 登录失效、人机验证等运维通知的 Telegram chat id，留空不发送
+  telegramAdminChatId: { type: 'string', env: 'TELEGRAM_ADMIN_CHAT_ID', flag: 'telegram-admin-chat-id', optional: true, default: '' },
+};
+
+/**
+ * 解析命令行参数，只识别 --key value 和 --key=value 形式
+ * 未在 SCHEMA 中的参数原样忽略，留给各脚本自己处理
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} 参数名 -> 字符串值
+ */
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = '';
+    }
+  }
+  return flags;
+}
+
+/**
+ * 读取配置文件
+ * @param {string|null} file - 显式指定的路径
+ * @returns {Object} 配置文件内容，未指定且默认文件不存在时返回空对象
+ */
+function readConfigFile(file) {
+  const configPath = path.resolve(file || 'config.json');
+  if (!file && !fs.existsSync(configPath)) return {};
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`配置文件 ${configPath} 读取失败: ${err.message}`);
+  }
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`配置文件 ${configPath} 必须是JSON对象`);
+  }
+  console.log(`[CONFIG] 已加载配置文件: ${configPath}`);
+  return content;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 按定义校验并转换单个配置值
+ * 环境变量和命令行传入的是字符串，配置文件可能是任意JSON类型
+ * @param {string} key - 配置项
+ * @param {any} value - 原始值
+ * @param {string} source - 值来源，用于错误信息
+ * @returns {any} 转换后的值
+ */
+function coerceValue(key, value, source) {
+  const def = SCHEMA[key];
+  const fail = (reason) => new Error(`${key} (${source}) ${reason}: ${JSON.stringify(value)}`);
+
+  if (def.type === 'number' || def.type === 'port') {
+    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) throw fail('必须是数字');
+    if (def.type === 'port' && (!Number.isInteger(num) || num < 1 || num > 65535)) {
+      throw fail('必须是 1-65535 之间的整数');
+    }
+    if (def.min !== undefined && num < def.min) throw fail(`不能小于 ${def.min}`);
+    return num;
+  }
+
+  if (def.type === 'url') {
+    try {
+      const url = new URL(value);
+      if (!url.port) throw new Error();
+      return url.origin;
+    } catch {
+      throw fail('必须是带端口的URL，如 http://127.0.0.1:10809');
+    }
+  }
+
+  if (def.type === 'boolean') {
+    if (value === true || value === 'true' || value === '1' || value === '') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw fail('必须是 true 或 false');
+  }
+
+  if (def.type === 'string') {
+    if (def.optional && value === '') return '';
+    if (typeof value !== 'string' || value.trim() === '') throw fail('必须是非空字符串');
+    if (def.minLength && value.trim().length < def.minLength) throw fail(`长度不能小于 ${def.minLength}`);
+    return value.trim();
+  }
+
+  if (def.type === 'wsUrl') {
+    if (value === '') return '';
+    try {
+      const url = new URL(value);
+      if (url.protocol !== 'ws:' && url.protocol !== 'wss:') throw new Error();
+      return url.href;
+    } catch {
+      throw fail('必须是 ws:// 或 wss:// 地址');
+    }
+  }
+
+  if (def.type === 'list') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const items = list.map(item => String(item).trim()).filter(Boolean);
+    if (items.length === 0) throw fail('不能为空');
+    const unknown = def.values ? items.filter(item => !def.values.includes(item)) : [];
+    if (unknown.length > 0) throw fail(`包含未知值 ${unknown.join(', ')}，可选: ${def.values.join(', ')}`);
+    return [...new Set(items)];
+  }
+
+  if (def.type === 'fees') {
+    let fees = value;
+    if (typeof value === 'string') {
+      try {
+        fees = JSON.parse(value);
+      } catch {
+        throw fail('必须是JSON对象');
+      }
+    }
+    if (!isPlainObject(fees)) throw fail('必须是JSON对象');
+
+    const merged = { ...DEFAULT_VENUE_FEES };
+    for (const [venue, rates] of Object.entries(fees)) {
+      if (!(venue in DEFAULT_VENUE_FEES)) {
+        throw fail(`包含未知交易所 ${venue}，可选: ${Object.keys(DEFAULT_VENUE_FEES).join(', ')}`);
+      }
+      const valid = isPlainObject(rates) && Object.entries(rates).every(([type, rate]) =>
+        (type === 'maker' || type === 'taker') && typeof rate === 'number' && Number.isFinite(rate) && rate >= 0);
+      if (!valid) throw fail(`${venue} 必须是 { maker, taker }，费率为不小于 0 的百分比`);
+      merged[venue] = { ...DEFAULT_VENUE_FEES[venue], ...rates };
+    }
+    return merged;
+  }
+
+  if (def.type === 'overrides') {
+    let overrides = value;
+    if (typeof value === 'string') {
+      try {
+        overrides = JSON.parse(value);
+      } catch {
+        throw fail('必须是JSON对象');
+      }
+    }
+    if (!isPlainObject(overrides)) throw fail('必须是JSON对象');
+
+    const venues = ['var', ...KNOWN_EXCHANGES];
+    for (const [venue, instruments] of Object.entries(overrides)) {
+      if (!venues.includes(venue)) throw fail(`包含未知交易所 ${venue}，可选: ${venues.join(', ')}`);
+      if (!isPlainObject(instruments)) throw fail(`${venue} 的映射必须是对象`);
+      for (const [instrument, mapping] of Object.entries(instruments)) {
+        if (mapping === null) continue;
+        const valid = isPlainObject(mapping)
+          && (mapping.asset === undefined || (typeof mapping.asset === 'string' && mapping.asset !== ''))
+          && (mapping.multiplier === undefined || (typeof mapping.multiplier === 'number' && mapping.multiplier > 0))
+          && (mapping.quote === undefined || KNOWN_QUOTES.includes(mapping.quote));
+        if (!valid) throw fail(`${venue}.${instrument} 必须是 null 或 { asset, multiplier, quote }`);
+      }
+    }
+    return overrides;
+  }
+
+  return value;
+}
+
+/**
+ * 加载并校验配置
+ * @param {Object} params - 加载参数
+ * @param {Array<string>} params.argv - 命令行参数
+ * @param {Object} params.env - 环境变量
+ * @returns {Object} 配置
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const flags = parseFlags(argv);
+  const fileContent = readConfigFile(flags.config || env.VAR_SDK_CONFIG || null);
+
+  const errors = [];
+  for (const key of Object.keys(fileContent)) {
+    if (!SCHEMA[key]) errors.push(`配置文件中存在未知配置项: ${key}`);
+  }
+
+  const result = {};
+  for (const [key, def] of Object.entries(SCHEMA)) {
+    const sources = [
+      ['配置文件', fileContent[key]],
+      [`环境变量 ${def.env}`, env[def.env]],
+      [`参数 --${def.flag}`, flags[def.flag]],
+    ];
+
+    let value = def.default;
+    for (const [source, raw] of sources) {
+      if (raw === undefined) continue;
+      try {
+        value = coerceValue(key, raw, source);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    result[key] = value;
+  }
+
+  if (errors.length > 0) {
+    const err = new Error(`配置无效:\n  ${errors.join('\n  ')}`);
+    err.code = 'INVALID_CONFIG';
+    throw err;
+  }
+
+  return Object.freeze(result);
+}
+
+function initConfig() {
+  try {
+    return loadConfig();
+  } catch (err) {
+    // 启动阶段即退出，不进入自动重启循环
+    console.error(`[CONFIG] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+export const config = initConfig();
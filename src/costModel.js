@@ -0,0 +1,39 @@
+/**
+ * 交易成本模型
+ * 按交易所手续费和滑点假设计算开平仓成本（均为仓位百分比）
+ * 手续费取自 config.venueFees，滑点默认取 config.slippageBps
+ */
+import { config } from './config.js';
+
+/**
+ * 获取交易所手续费率
+ * @param {string} venue - 交易所id，VAR 为 'var'
+ * @param {string} orderType - maker | taker
+ * @returns {number} 手续费率（百分比）
+ */
+export function getFeeRate(venue, orderType = 'taker') {
+  const fees = config.venueFees[venue];
+  if (!fees) throw new Error(`未配置 ${venue} 的手续费`);
+  return fees[orderType] ?? fees.taker;
+}
+
+/**
+ * 计算 VAR + 对冲所 两条腿的开平仓成本
+ * @param {string} hedgeVenue - 对冲交易所id
+ * @param {Object} options - 选项
+ * @param {string} options.orderType - maker | taker，默认 taker
+ * @param {number} options.slippageBps - 每笔成交滑点（基点），默认 config.slippageBps
+ * @returns {Object} { entryCost, exitCost, totalCost } 仓位百分比
+ */
+export function getRoundTripCost(hedgeVenue, options = {}) {
+  const { orderType = 'taker', slippageBps = config.slippageBps } = options;
+
+  // 单边成本 = 两条腿手续费 + 两条腿滑点
+  const sideCost = getFeeRate('var', orderType) + getFeeRate(hedgeVenue, orderType) + 2 * slippageBps / 100;
+
+  return {
+    entryCost: sideCost,
+    exitCost: sideCost,
+    totalCost: sideCost * 2,
+  };
+}
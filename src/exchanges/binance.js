@@ -0,0 +1,77 @@
+/**
+ * Binance U本位永续 适配器
+ */
+import { fetchJson } from '../httpClient.js';
+import { getStreamRates } from '../binanceStream.js';
+
+const PREMIUM_INDEX_API = 'https://fapi.binance.com/fapi/v1/premiumIndex';
+const FUNDING_INFO_API = 'https://fapi.binance.com/fapi/v1/fundingInfo';
+const DEPTH_API = 'https://fapi.binance.com/fapi/v1/depth';
+const INTERVAL_CACHE_TTL = 60 * 60 * 1000; // 费率周期很少变化，缓存1小时
+
+let intervalCache = null;
+let intervalCacheTime = 0;
+
+/**
+ * 获取非默认费率周期的交易对（带缓存）
+ * @returns {Promise<Object>} symbol -> 周期秒数
+ */
+async function getFundingIntervals() {
+  if (intervalCache && Date.now() - intervalCacheTime < INTERVAL_CACHE_TTL) {
+    return intervalCache;
+  }
+  // fundingInfo 只包含非默认周期的交易对，缺省为8小时
+  const fundingInfo = await fetchJson(FUNDING_INFO_API);
+  const intervalMap = {};
+  if (Array.isArray(fundingInfo)) {
+    for (const info of fundingInfo) {
+      intervalMap[info.symbol] = (info.fundingIntervalHours || 8) * 3600;
+    }
+  }
+  intervalCache = intervalMap;
+  intervalCacheTime = Date.now();
+  return intervalMap;
+}
+
+export const binanceAdapter = {
+  id: 'binance',
+  name: 'Binance',
+
+  async fetchRates() {
+    const intervalMap = await getFundingIntervals();
+
+    // 优先使用实时推送维护的数据，推送不可用时回退到 REST 轮询
+    const streamRates = getStreamRates();
+    if (streamRates) {
+      return streamRates.map(rate => ({
+        ...rate,
+        fundingIntervalSeconds: intervalMap[rate.instrument] || 28800,
+      }));
+    }
+
+    const data = await fetchJson(PREMIUM_INDEX_API);
+    if (!Array.isArray(data)) {
+      throw new Error('Binance API 返回非数组数据');
+    }
+
+    return data.map(item => ({
+      instrument: item.symbol,
+      markPrice: parseFloat(item.markPrice) || 0,
+      indexPrice: parseFloat(item.indexPrice) || 0,
+      fundingRate: parseFloat(item.lastFundingRate) * 100 || 0,
+      fundingTime: item.nextFundingTime ? new Date(item.nextFundingTime).toISOString() : null,
+      fundingIntervalSeconds: intervalMap[item.symbol] || 28800,
+    }));
+  },
+
+  async fetchOrderBook(instrument) {
+    const data = await fetchJson(`${DEPTH_API}?symbol=${instrument}&limit=100`);
+    if (!Array.isArray(data?.bids) || !Array.isArray(data?.asks)) {
+      throw new Error(`Binance depth 返回错误: ${data?.msg || 'unknown'}`);
+    }
+    return {
+      bids: data.bids.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+      asks: data.asks.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+    };
+  },
+};
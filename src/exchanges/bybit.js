@@ -0,0 +1,69 @@
+/**
+ * Bybit USDT永续 适配器
+ */
+import { fetchJson } from '../httpClient.js';
+
+const TICKERS_API = 'https://api.bybit.com/v5/market/tickers?category=linear';
+const INSTRUMENTS_API = 'https://api.bybit.com/v5/market/instruments-info?category=linear&limit=1000';
+const ORDERBOOK_API = 'https://api.bybit.com/v5/market/orderbook?category=linear&limit=200';
+
+/**
+ * 获取所有线性合约的费率周期（分页拉取）
+ * @returns {Object} symbol -> 周期秒数
+ */
+async function getFundingIntervals() {
+  const intervalMap = {};
+  let cursor = '';
+  // 防御性上限，避免游标异常导致死循环
+  for (let page = 0; page < 20; page++) {
+    const url = cursor ? `${INSTRUMENTS_API}&cursor=${encodeURIComponent(cursor)}` : INSTRUMENTS_API;
+    const data = await fetchJson(url);
+    if (data?.retCode !== 0) {
+      throw new Error(`Bybit instruments-info 返回错误: ${data?.retMsg || 'unknown'}`);
+    }
+    for (const info of data.result.list || []) {
+      // fundingInterval 单位为分钟
+      intervalMap[info.symbol] = (parseInt(info.fundingInterval, 10) || 480) * 60;
+    }
+    cursor = data.result.nextPageCursor;
+    if (!cursor) break;
+  }
+  return intervalMap;
+}
+
+export const bybitAdapter = {
+  id: 'bybit',
+  name: 'Bybit',
+
+  async fetchRates() {
+    const intervalMap = await getFundingIntervals();
+
+    const data = await fetchJson(TICKERS_API);
+    if (data?.retCode !== 0 || !Array.isArray(data.result?.list)) {
+      throw new Error(`Bybit tickers 返回错误: ${data?.retMsg || 'unknown'}`);
+    }
+
+    return data.result.list
+      // 交割合约没有资金费率
+      .filter(item => item.fundingRate !== '')
+      .map(item => ({
+        instrument: item.symbol,
+        markPrice: parseFloat(item.markPrice) || 0,
+        indexPrice: parseFloat(item.indexPrice) || 0,
+        fundingRate: parseFloat(item.fundingRate) * 100 || 0,
+        fundingTime: item.nextFundingTime ? new Date(parseInt(item.nextFundingTime, 10)).toISOString() : null,
+        fundingIntervalSeconds: intervalMap[item.symbol] || 28800,
+      }));
+  },
+
+  async fetchOrderBook(instrument) {
+    const data = await fetchJson(`${ORDERBOOK_API}&symbol=${instrument}`);
+    if (data?.retCode !== 0 || !Array.isArray(data.result?.b)) {
+      throw new Error(`Bybit orderbook 返回错误: ${data?.retMsg || 'unknown'}`);
+    }
+    return {
+      bids: data.result.b.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+      asks: data.result.a.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]),
+    };
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * Hyperliquid 永续 适配器
+ * Hyperliquid 每小时结算一次费率
+ */
+import { fetchJson } from '../httpClient.js';
+
+const INFO_API = 'https://api.hyperliquid.xyz/info';
+const FUNDING_INTERVAL_SECONDS = 3600;
+
+export const hyperliquidAdapter = {
+  id: 'hyperliquid',
+  name: 'Hyperliquid',
+
+  async fetchRates() {
+    const data = await fetchJson(INFO_API, {
+      method: 'POST',
+      body: { type: 'metaAndAssetCtxs' },
+    });
+    if (!Array.isArray(data) || !Array.isArray(data[0]?.universe) || !Array.isArray(data[1])) {
+      throw new Error('Hyperliquid API 返回无效数据');
+    }
+
+    const [meta, assetCtxs] = data;
+    // 下一个整点即为下次结算时间
+    const nextFundingMs = Math.ceil(Date.now() / (FUNDING_INTERVAL_SECONDS * 1000)) * FUNDING_INTERVAL_SECONDS * 1000;
+    const result = [];
+
+    meta.universe.forEach((asset, idx) => {
+      const ctx = assetCtxs[idx];
+      if (!ctx || asset.isDelisted) return;
+      result.push({
+        instrument: asset.name,
+        markPrice: parseFloat(ctx.markPx) || 0,
+        indexPrice: parseFloat(ctx.oraclePx) || 0,
+        fundingRate: parseFloat(ctx.funding) * 100 || 0,
+        fundingTime: new Date(nextFundingMs).toISOString(),
+        fundingIntervalSeconds: FUNDING_INTERVAL_SECONDS,
+      });
+    });
+
+    return result;
+  },
+
+  async fetchOrderBook(instrument) {
+    const data = await fetchJson(INFO_API, {
+      method: 'POST',
+      body: { type: 'l2Book', coin: instrument },
+    });
+    if (!Array.isArray(data?.levels) || data.levels.length !== 2) {
+      throw new Error('Hyperliquid l2Book 返回无效数据');
+    }
+    const [bids, asks] = data.levels;
+    return {
+      bids: bids.map(level => [parseFloat(level.px), parseFloat(level.sz)]),
+      asks: asks.map(level => [parseFloat(level.px), parseFloat(level.sz)]),
+    };
+  },
+};
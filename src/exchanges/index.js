@@ -0,0 +1,81 @@
+/**
+ * 交易所适配器注册表
+ *
+ * 每个对冲交易所实现同一个接口（合约名、价格和数量均为交易所原始口径）：
+ *   {
+ *     id: string,            // 唯一标识，如 'binance'
+ *     name: string,          // 展示名称，如 'Binance'
+ *     fetchRates(): Promise<Array<{
+ *       instrument: string,             // 交易所合约名，如 '1000PEPEUSDT'
+ *       markPrice: number,              // 标记价格
+ *       indexPrice: number,             // 指数价格（无则为0）
+ *       fundingRate: number,            // 单周期费率（百分比）
+ *       fundingTime: string|null,       // 下次结算时间 ISO字符串
+ *       fundingIntervalSeconds: number, // 费率周期（秒）
+ *     }>>,
+ *     fetchOrderBook(instrument): Promise<{
+ *       bids: Array<[price, qty]>,      // 买盘，价格从高到低
+ *       asks: Array<[price, qty]>,      // 卖盘，价格从低到高
+ *     }>
+ *   }
+ *
+ * 外部统一通过 fetchVenueRates / fetchVenueOrderBook 访问，由 symbolRegistry 折算为基础币种口径
+ */
+import { binanceAdapter } from './binance.js';
+import { bybitAdapter } from './bybit.js';
+import { okxAdapter } from './okx.js';
+import { hyperliquidAdapter } from './hyperliquid.js';
+import { config } from '../config.js';
+import { normalizeVenueRates, getInstrument, normalizeOrderBook } from '../symbolRegistry.js';
+
+const ADAPTERS = {
+  [binanceAdapter.id]: binanceAdapter,
+  [bybitAdapter.id]: bybitAdapter,
+  [okxAdapter.id]: okxAdapter,
+  [hyperliquidAdapter.id]: hyperliquidAdapter,
+};
+
+// 当前启用的对冲交易所
+const HEDGE_EXCHANGES = config.hedgeExchanges;
+
+/**
+ * 按id获取适配器
+ * @param {string} id - 交易所id
+ * @returns {Object|null} 适配器
+ */
+export function getExchangeAdapter(id) {
+  return ADAPTERS[id] || null;
+}
+
+/**
+ * 获取所有启用的对冲交易所适配器
+ * @returns {Array<Object>} 适配器列表
+ */
+export function getHedgeAdapters() {
+  return HEDGE_EXCHANGES.map(getExchangeAdapter).filter(Boolean);
+}
+
+/**
+ * 拉取指定交易所的费率数据
+ * 重试由 httpClient 统一处理（网络错误、429 和 5xx 按退避重试），这里不再叠加
+ * @param {Object} adapter - 交易所适配器
+ * @returns {Promise<Array>} 标准化费率列表，symbol 为基础币种，价格已按合约乘数折算
+ */
+export async function fetchVenueRates(adapter) {
+  return normalizeVenueRates(adapter.id, await adapter.fetchRates());
+}
+
+/**
+ * 拉取基础币种在指定交易所的订单簿
+ * @param {string} venue - 交易所id
+ * @param {string} symbol - 基础币种，如 'PEPE'
+ * @returns {Promise<{bids: Array, asks: Array}>} 按基础币种折算的价格和数量
+ */
+export async function fetchVenueOrderBook(venue, symbol) {
+  const adapter = getExchangeAdapter(venue);
+  if (!adapter?.fetchOrderBook) {
+    throw new Error(`${venue} 不支持深度查询`);
+  }
+  const { instrument, multiplier } = getInstrument(venue, symbol);
+  return normalizeOrderBook(await adapter.fetchOrderBook(instrument), multiplier);
+}
@@ -0,0 +1,77 @@
+/**
+ * OKX USDT永续 适配器
+ */
+import { fetchJson } from '../httpClient.js';
+
+const FUNDING_RATE_API = 'https://www.okx.com/api/v5/public/funding-rate?instId=ANY';
+const MARK_PRICE_API = 'https://www.okx.com/api/v5/public/mark-price?instType=SWAP';
+const INSTRUMENTS_API = 'https://www.okx.com/api/v5/public/instruments?instType=SWAP';
+const BOOKS_API = 'https://www.okx.com/api/v5/market/books?sz=400';
+
+// 合约面值缓存 instId -> ctVal，深度数量以张为单位，需要换算为币数量
+let contractValueMap = null;
+
+async function getContractValues() {
+  if (contractValueMap) return contractValueMap;
+  const data = await fetchJson(INSTRUMENTS_API);
+  if (data?.code !== '0' || !Array.isArray(data.data)) {
+    throw new Error(`OKX instruments 返回错误: ${data?.msg || 'unknown'}`);
+  }
+  contractValueMap = {};
+  for (const item of data.data) {
+    contractValueMap[item.instId] = parseFloat(item.ctVal) || 1;
+  }
+  return contractValueMap;
+}
+
+export const okxAdapter = {
+  id: 'okx',
+  name: 'OKX',
+
+  async fetchRates() {
+    const markData = await fetchJson(MARK_PRICE_API);
+    if (markData?.code !== '0' || !Array.isArray(markData.data)) {
+      throw new Error(`OKX mark-price 返回错误: ${markData?.msg || 'unknown'}`);
+    }
+    const markMap = {};
+    for (const item of markData.data) {
+      markMap[item.instId] = parseFloat(item.markPx) || 0;
+    }
+
+    const data = await fetchJson(FUNDING_RATE_API);
+    if (data?.code !== '0' || !Array.isArray(data.data)) {
+      throw new Error(`OKX funding-rate 返回错误: ${data?.msg || 'unknown'}`);
+    }
+
+    return data.data.map(item => {
+      // fundingTime 为本期结算时间，nextFundingTime 为下一期，两者之差即为费率周期
+      const fundingTime = parseInt(item.fundingTime, 10);
+      const nextFundingTime = parseInt(item.nextFundingTime, 10);
+      const intervalSeconds = fundingTime && nextFundingTime > fundingTime
+        ? (nextFundingTime - fundingTime) / 1000
+        : 28800;
+
+      return {
+        instrument: item.instId,
+        markPrice: markMap[item.instId] || 0,
+        indexPrice: 0,
+        fundingRate: parseFloat(item.fundingRate) * 100 || 0,
+        fundingTime: fundingTime ? new Date(fundingTime).toISOString() : null,
+        fundingIntervalSeconds: intervalSeconds,
+      };
+    });
+  },
+
+  async fetchOrderBook(instrument) {
+    const ctVal = (await getContractValues())[instrument] || 1;
+    const data = await fetchJson(`${BOOKS_API}&instId=${instrument}`);
+    const book = data?.data?.[0];
+    if (data?.code !== '0' || !book) {
+      throw new Error(`OKX books 返回错误: ${data?.msg || 'unknown'}`);
+    }
+    return {
+      bids: book.bids.map(([price, size]) => [parseFloat(price), parseFloat(size) * ctVal]),
+      asks: book.asks.map(([price, size]) => [parseFloat(price), parseFloat(size) * ctVal]),
+    };
+  },
+};
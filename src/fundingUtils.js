@@ -142,7 +142,7 @@ function gcd(a, b) {
  * @param {number} intervalSeconds - 收费间隔（秒）
  * @returns {Date} 下一个收费时间点
  */
-function getNextFundingTime(now, intervalSeconds) {
+export function getNextFundingTime(now, intervalSeconds) {
   const intervalMs = intervalSeconds * 1000;
   // 获取UTC午夜时间戳
   const utcMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
@@ -153,6 +153,46 @@ function getNextFundingTime(now, intervalSeconds) {
   return new Date(nextFundingMs);
 }
 
+/**
+ * 解析下次收费时间点
+ * 优先使用交易所返回的下次结算时间，缺失或无效时回退到UTC对齐的时间表
+ * @param {Date} now - 当前时间
+ * @param {string|number|null} fundingTime - 交易所返回的下次结算时间（ISO字符串或毫秒时间戳）
+ * @param {number} intervalSeconds - 收费间隔（秒）
+ * @returns {Date} 下一个收费时间点
+ */
+export function resolveNextFundingTime(now, fundingTime, intervalSeconds) {
+  const fundingMs = typeof fundingTime === 'string' && /^\d+$/.test(fundingTime)
+    ? Number(fundingTime)
+    : new Date(fundingTime ?? NaN).getTime();
+
+  if (!fundingTime || Number.isNaN(fundingMs)) {
+    return getNextFundingTime(now, intervalSeconds);
+  }
+
+  // 数据可能在结算后才刷新，已过期的时间按周期顺延
+  const intervalMs = intervalSeconds * 1000;
+  let nextMs = fundingMs;
+  if (nextMs <= now.getTime()) {
+    nextMs += Math.ceil((now.getTime() - nextMs + 1) / intervalMs) * intervalMs;
+  }
+  return new Date(nextMs);
+}
+
+/**
+ * 计算单次结算对持仓的费率收益
+ * 空头收取正费率，多头支付正费率
+ * @param {string} source - 结算来源 VAR | HEDGE
+ * @param {number} rate - 本次结算费率（百分比）
+ * @param {string} direction - 套利方向 SHORT_VAR | SHORT_HEDGE | NONE
+ * @returns {number} 本次收益（仓位百分比）
+ */
+export function getSettlementFunding(source, rate, direction) {
+  if (direction === 'NONE') return 0;
+  const isShortLeg = (source === 'VAR') === (direction === 'SHORT_VAR');
+  return isShortLeg ? rate : -rate;
+}
+
 /**
  * 格式化时间为本地时区显示
  * @param {Date} date - 时间
@@ -166,43 +206,76 @@ function formatLocalTime(date) {
   return `${month}-${day} ${hours}:${minutes}`;
 }
 
+/**
+ * 估算回本时间：累计收益覆盖开平仓成本所需的持仓时长
+ * 模拟期内未回本时按期内平均费率收益外推
+ * @param {Array} timeline - 时间线
+ * @param {number} tradingCost - 开平仓总成本（百分比）
+ * @param {number} simulateDays - 模拟天数
+ * @returns {number|null} 回本所需小时数，永远无法回本时为 null
+ */
+function estimateBreakEvenHours(timeline, tradingCost, simulateDays) {
+  const openTime = timeline[0].time;
+  for (const t of timeline) {
+    if (t.cumulativeProfit >= tradingCost) {
+      return (t.time - openTime) / (HOUR_SECONDS * 1000);
+    }
+  }
+
+  const last = timeline[timeline.length - 1];
+  const fundingProfit = last.cumulativeProfit - timeline[0].cumulativeProfit;
+  if (fundingProfit <= 0) return null;
+
+  const simulateHours = simulateDays * 24;
+  const profitPerHour = fundingProfit / simulateHours;
+  return simulateHours + (tradingCost - last.cumulativeProfit) / profitPerHour;
+}
+
 /**
  * 生成套利时间线模拟
  * @param {Object} params - 参数
  * @param {number} params.varPrice - Variational价格
- * @param {number} params.binancePrice - Binance价格
+ * @param {number} params.hedgePrice - 对冲交易所价格
  * @param {number} params.varRate - Variational费率（百分比）
  * @param {number} params.varInterval - Variational费率间隔（秒）
- * @param {number} params.binanceRate - Binance费率（百分比）
- * @param {number} params.binanceInterval - Binance费率间隔（秒）
- * @param {string} params.direction - 套利方向 SHORT_VAR | SHORT_BINANCE | NONE
+ * @param {number} params.hedgeRate - 对冲交易所费率（百分比）
+ * @param {number} params.hedgeInterval - 对冲交易所费率间隔（秒）
+ * @param {string} params.hedgeName - 对冲交易所名称，用于事件描述
+ * @param {string} params.varFundingTime - VAR下次结算时间，缺失时按UTC对齐推算
+ * @param {string} params.hedgeFundingTime - 对冲交易所下次结算时间，缺失时按UTC对齐推算
+ * @param {string} params.direction - 套利方向 SHORT_VAR | SHORT_HEDGE | NONE
  * @param {number} params.simulateDays - 模拟天数，默认1天
+ * @param {number} params.roundTripCost - 开平仓总成本（手续费+滑点，仓位百分比），默认0
  * @returns {Object} 时间线数据
  */
 export function generateArbitrageTimeline(params) {
   const {
     varPrice,
-    binancePrice,
+    hedgePrice,
     varRate,
     varInterval,
-    binanceRate,
-    binanceInterval,
+    hedgeRate,
+    hedgeInterval,
+    hedgeName = 'HEDGE',
+    varFundingTime = null,
+    hedgeFundingTime = null,
     direction,
     simulateDays = 1,
+    roundTripCost = 0,
   } = params;
 
   const now = new Date();
   const endTime = new Date(now.getTime() + simulateDays * DAY_SECONDS * 1000);
 
   // 计算价差锁定收益（假设价差回归）
-  const priceDiffPercent = ((varPrice - binancePrice) / binancePrice) * 100;
+  const priceDiffPercent = ((varPrice - hedgePrice) / hedgePrice) * 100;
 
-  // 价差锁定收益：如果VAR价格高，我们short VAR + long Binance，价差回归时获利
-  // 如果Binance价格高，我们short Binance + long VAR
+  // 价差锁定收益：如果VAR价格高，我们short VAR + long 对冲所，价差回归时获利
+  // 如果对冲所价格高，我们short 对冲所 + long VAR
   let lockedSpreadProfit = 0;
   if (direction === 'SHORT_VAR') {
     lockedSpreadProfit = priceDiffPercent;
-  } else if (direction === 'SHORT_BINANCE') {
+  } else if (direction === 'SHORT_HEDGE') {
     lockedSpreadProfit = -priceDiffPercent;
   }
 
@@ -210,7 +283,7 @@ export function generateArbitrageTimeline(params) {
   const timeline = [];
   let cumulativeProfit = lockedSpreadProfit;
   let varCumulative = 0;
-  let binanceCumulative = 0;
+  let hedgeCumulative = 0;
 
   // 第一行：建仓
   timeline.push({
@@ -219,27 +292,29 @@ export function generateArbitrageTimeline(params) {
     event: 'OPEN',
     description: '建仓',
     varFunding: 0,
-    binanceFunding: 0,
+    hedgeFunding: 0,
     netFunding: 0,
     spreadProfit: lockedSpreadProfit,
     cumulativeProfit: lockedSpreadProfit,
   });
 
-  // 收集所有费率事件时间点（对齐UTC）
+  // 收集所有费率事件时间点（以交易所返回的下次结算时间为锚点）
   const events = [];
+  const varNextFunding = resolveNextFundingTime(now, varFundingTime, varInterval);
+  const hedgeNextFunding = resolveNextFundingTime(now, hedgeFundingTime, hedgeInterval);
 
   // VAR收费时间点
-  let varNext = getNextFundingTime(now, varInterval);
+  let varNext = varNextFunding;
   while (varNext <= endTime) {
     events.push({ time: varNext.getTime(), date: varNext, source: 'VAR', rate: varRate });
     varNext = new Date(varNext.getTime() + varInterval * 1000);
   }
 
-  // Binance收费时间点
-  let binanceNext = getNextFundingTime(now, binanceInterval);
-  while (binanceNext <= endTime) {
-    events.push({ time: binanceNext.getTime(), date: binanceNext, source: 'BINANCE', rate: binanceRate });
-    binanceNext = new Date(binanceNext.getTime() + binanceInterval * 1000);
+  // 对冲所收费时间点
+  let hedgeNext = hedgeNextFunding;
+  while (hedgeNext <= endTime) {
+    events.push({ time: hedgeNext.getTime(), date: hedgeNext, source: 'HEDGE', rate: hedgeRate });
+    hedgeNext = new Date(hedgeNext.getTime() + hedgeInterval * 1000);
   }
 
   // 按时间排序
@@ -248,50 +323,51 @@ export function generateArbitrageTimeline(params) {
   // 处理每个事件
   for (const event of events) {
     let varFunding = 0;
-    let binanceFunding = 0;
+    let hedgeFunding = 0;
 
     if (event.source === 'VAR') {
-      if (direction === 'SHORT_VAR') {
-        varFunding = event.rate;
-      } else if (direction === 'SHORT_BINANCE') {
-        varFunding = -event.rate;
-      }
+      varFunding = getSettlementFunding('VAR', event.rate, direction);
       varCumulative += varFunding;
     } else {
-      if (direction === 'SHORT_VAR') {
-        binanceFunding = -event.rate;
-      } else if (direction === 'SHORT_BINANCE') {
-        binanceFunding = event.rate;
-      }
-      binanceCumulative += binanceFunding;
+      hedgeFunding = getSettlementFunding('HEDGE', event.rate, direction);
+      hedgeCumulative += hedgeFunding;
     }
 
-    const netFunding = varFunding + binanceFunding;
+    const netFunding = varFunding + hedgeFunding;
     cumulativeProfit += netFunding;
 
     timeline.push({
       time: event.time,
       timeText: formatLocalTime(event.date),
       event: event.source,
-      description: `${event.source} 结算`,
+      description: `${event.source === 'VAR' ? 'VAR' : hedgeName} 结算`,
       varFunding: event.source === 'VAR' ? varFunding : 0,
-      binanceFunding: event.source === 'BINANCE' ? binanceFunding : 0,
+      hedgeFunding: event.source === 'HEDGE' ? hedgeFunding : 0,
       netFunding,
       spreadProfit: 0,
       cumulativeProfit,
       varCumulative,
-      binanceCumulative,
+      hedgeCumulative,
     });
   }
 
+  // 无套利方向时不开仓，没有交易成本
+  const tradingCost = direction === 'NONE' ? 0 : roundTripCost;
+  const breakEvenHours = estimateBreakEvenHours(timeline, tradingCost, simulateDays);
+
   return {
     lockedSpreadProfit,
     priceDiffPercent,
     direction,
     simulateDays,
+    varNextFundingTime: varNextFunding.toISOString(),
+    hedgeNextFundingTime: hedgeNextFunding.toISOString(),
     timeline,
     finalProfit: cumulativeProfit,
+    tradingCost,
+    netProfit: cumulativeProfit - tradingCost,
+    breakEvenHours,
     varTotalFunding: varCumulative,
-    binanceTotalFunding: binanceCumulative,
+    hedgeTotalFunding: hedgeCumulative,
   };
 }
@@ -0,0 +1,145 @@
+/**
+ * 费率历史存储
+ * 每次刷新将各交易对的费率、价格、周期和日收益追加到按UTC日期分割的JSONL文件
+ * 文件布局: data/history/YYYY-MM-DD.jsonl，每行一条记录
+ */
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HISTORY_DIR = path.join(__dirname, '../data/history');
+const DAY_MS = 86400000;
+
+/**
+ * 获取某个时间点所在日期的文件路径
+ * @param {number} timeMs - 时间戳（毫秒）
+ * @returns {string} 文件路径
+ */
+function getDayFile(timeMs) {
+  const day = new Date(timeMs).toISOString().slice(0, 10);
+  return path.join(HISTORY_DIR, `${day}.jsonl`);
+}
+
+/**
+ * 将套利机会转换为历史记录
+ * @param {Object} opp - 套利机会
+ * @param {string} time - 记录时间 ISO字符串
+ * @returns {Object} 历史记录
+ */
+function toRecord(opp, time) {
+  const venues = {
+    [opp.hedgeVenue]: {
+      price: opp.hedgePrice,
+      rate: opp.hedgeRate,
+      interval: opp.hedgeInterval,
+      fundingTime: opp.hedgeFundingTime,
+    },
+  };
+  for (const alt of opp.alternatives || []) {
+    venues[alt.hedgeVenue] = {
+      price: alt.hedgePrice,
+      rate: alt.hedgeRate,
+      interval: alt.hedgeInterval,
+      fundingTime: alt.hedgeFundingTime,
+    };
+  }
+
+  return {
+    time,
+    symbol: opp.symbol,
+    var: {
+      price: opp.varPrice,
+      rate: opp.varRate,
+      interval: opp.varInterval,
+      fundingTime: opp.varFundingTime,
+    },
+    venues,
+    hedgeVenue: opp.hedgeVenue,
+    direction: opp.direction,
+    dailyProfit: opp.dailyProfit,
+  };
+}
+
+/**
+ * 追加一次刷新快照
+ * @param {Array} opportunities - 套利机会列表
+ * @param {Date} time - 快照时间
+ * @returns {Promise<number>} 写入的记录数
+ */
+export async function appendSnapshot(opportunities, time = new Date()) {
+  if (!opportunities || opportunities.length === 0) return 0;
+
+  const isoTime = time.toISOString();
+  const lines = opportunities.map(opp => JSON.stringify(toRecord(opp, isoTime))).join('\n') + '\n';
+
+  await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+  await fs.promises.appendFile(getDayFile(time.getTime()), lines, 'utf8');
+  return opportunities.length;
+}
+
+/**
+ * 逐行读取单个历史文件
+ * @param {string} file - 文件路径
+ * @param {Function} onRecord - 每条记录的回调
+ */
+async function readDayFile(file, onRecord) {
+  if (!fs.existsSync(file)) return;
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of rl) {
+    if (!line) continue;
+    try {
+      onRecord(JSON.parse(line));
+    } catch {
+      // 进程中断可能留下半行，跳过
+    }
+  }
+}
+
+/**
+ * 查询历史记录
+ * @param {Object} params - 查询参数
+ * @param {string} params.symbol - 交易对，不传则返回全部
+ * @param {Date|number|string} params.from - 开始时间，默认24小时前
+ * @param {Date|number|string} params.to - 结束时间，默认当前
+ * @returns {Promise<Array>} 按时间升序的记录
+ */
+export async function queryHistory(params = {}) {
+  const toMs = params.to !== undefined ? new Date(params.to).getTime() : Date.now();
+  const fromMs = params.from !== undefined ? new Date(params.from).getTime() : toMs - DAY_MS;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    throw new Error('无效的时间范围');
+  }
+
+  const symbol = params.symbol || null;
+  const records = [];
+
+  // 逐日遍历覆盖该时间范围的文件
+  const startDay = Math.floor(fromMs / DAY_MS) * DAY_MS;
+  for (let dayMs = startDay; dayMs <= toMs; dayMs += DAY_MS) {
+    await readDayFile(getDayFile(dayMs), (record) => {
+      if (symbol && record.symbol !== symbol) return;
+      const recordMs = new Date(record.time).getTime();
+      if (recordMs < fromMs || recordMs > toMs) return;
+      records.push(record);
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 查询单个交易对的历史记录
+ * @param {string} symbol - 交易对
+ * @param {Object} range - 时间范围 { from, to }
+ * @returns {Promise<Array>} 按时间升序的记录
+ */
+export function querySymbolHistory(symbol, range = {}) {
+  return queryHistory({ ...range, symbol });
+}
@@ -1,34 +1,111 @@
-import { execSync } from 'child_process';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import zlib from 'zlib';
+import { config } from './config.js';
+
+const PROXY_URL = config.proxyUrl;
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;   // 首次重试等待500ms，之后指数增长
+const BACKOFF_MAX = 8000;
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+};
 
 // 全局变量存储browserFetch函数引用
 let _browserFetch = null;
 // 代理可用性缓存
 let _proxyAvailable = null;
 let _proxyCheckTime = 0;
+let _proxyCheckPromise = null;
 const PROXY_CHECK_INTERVAL = 60000; // 60秒重新检测一次
 
+const directAgent = new https.Agent({ keepAlive: true });
+let _proxyAgent = null;
+
+/**
+ * 通过HTTP代理建立CONNECT隧道
+ * @param {string} host - 目标主机
+ * @param {number} port - 目标端口
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise<net.Socket>} 隧道socket
+ */
+function connectTunnel(host, port, timeout) {
+  const proxy = new URL(PROXY_URL);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: proxy.hostname,
+      port: proxy.port,
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers: { Host: `${host}:${port}` },
+      timeout,
+    });
+
+    req.once('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`代理连接失败: HTTP ${res.statusCode}`));
+        return;
+      }
+      resolve(socket);
+    });
+    req.once('timeout', () => req.destroy(new Error('代理连接超时')));
+    req.once('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * 获取走代理隧道的https Agent（HTTP请求与WebSocket共用）
+ * @returns {https.Agent}
+ */
+export function getProxyAgent() {
+  if (_proxyAgent) return _proxyAgent;
+
+  _proxyAgent = new https.Agent({ keepAlive: true });
+  // 异步创建连接：先建立CONNECT隧道，再在隧道上握手TLS
+  _proxyAgent.createConnection = (options, callback) => {
+    connectTunnel(options.host, options.port || 443, options.timeout || DEFAULT_TIMEOUT)
+      .then(socket => {
+        callback(null, tls.connect({ socket, servername: options.servername || options.host }));
+      })
+      .catch(err => callback(err));
+  };
+  return _proxyAgent;
+}
+
 /**
  * 测试代理是否可用
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function testProxyConnection() {
+export function testProxyConnection() {
   const now = Date.now();
   // 使用缓存结果，避免频繁检测
   if (_proxyAvailable !== null && now - _proxyCheckTime < PROXY_CHECK_INTERVAL) {
-    return _proxyAvailable;
+    return Promise.resolve(_proxyAvailable);
   }
+  // 并发请求共用同一次检测
+  if (_proxyCheckPromise) return _proxyCheckPromise;
 
-  try {
-    execSync(
-      'curl -s -x http://127.0.0.1:10809 --connect-timeout 3 -o /dev/null -w "%{http_code}" https://www.google.com',
-      { encoding: 'utf-8', timeout: 5000 }
-    );
-    _proxyAvailable = true;
-  } catch {
-    _proxyAvailable = false;
-  }
-  _proxyCheckTime = now;
-  return _proxyAvailable;
+  _proxyCheckPromise = connectTunnel('www.google.com', 443, 3000)
+    .then(socket => {
+      socket.destroy();
+      return true;
+    })
+    .catch(() => false)
+    .then(available => {
+      _proxyAvailable = available;
+      _proxyCheckTime = Date.now();
+      _proxyCheckPromise = null;
+      return available;
+    });
+  return _proxyCheckPromise;
 }
 
 /**
@@ -38,31 +115,146 @@ export function setBrowserFetch(fn) {
   _browserFetch = fn;
 }
 
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
 /**
- * 使用curl进行HTTP请求（带完整浏览器头）
- * @param {string} url - 请求URL
- * @returns {any} JSON响应
+ * 根据Content-Encoding解压响应体
+ */
+function decodeBody(buffer, encoding) {
+  if (encoding === 'gzip') return zlib.gunzipSync(buffer);
+  if (encoding === 'deflate') return zlib.inflateSync(buffer);
+  if (encoding === 'br') return zlib.brotliDecompressSync(buffer);
+  return buffer;
+}
+
+/**
+ * 发送单次HTTP请求
+ */
+function sendOnce(url, { method, headers, body, timeout, agent }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers,
+      agent: target.protocol === 'http:' ? undefined : agent,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          const buffer = decodeBody(Buffer.concat(chunks), res.headers['content-encoding']);
+          resolve({ status: res.statusCode, headers: res.headers, url, body: buffer.toString('utf8') });
+        } catch (err) {
+          reject(new Error(`响应解压失败: ${err.message}`));
+        }
+      });
+    });
+
+    // 整个请求的超时，包含建立连接和读取响应
+    const timer = setTimeout(() => {
+      const err = new Error(`请求超时 (${timeout}ms)`);
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    }, timeout);
+
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * 解析响应体，JSON解析失败时保留原文
  */
-export function fetchJsonCurl(url, useProxy = true) {
+function parseBody(res) {
+  const isJson = (res.headers['content-type'] || '').includes('json') || /^[[{]/.test(res.body.trimStart());
+  if (!isJson) return res.body;
   try {
+    return JSON.parse(res.body);
+  } catch {
+    return res.body;
+  }
+}
+
+/**
+ * 计算第n次重试的等待时间，优先遵循 Retry-After
+ */
+function getBackoffDelay(attempt, retryAfter) {
+  const retryAfterSeconds = parseFloat(retryAfter);
+  if (retryAfterSeconds > 0) return Math.min(retryAfterSeconds * 1000, BACKOFF_MAX);
+  const delay = Math.min(BACKOFF_BASE * Math.pow(2, attempt), BACKOFF_MAX);
+  // 加入抖动，避免多个请求同时重试
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * 异步HTTP请求（带超时、指数退避重试和代理支持）
+ * @param {string} url - 请求URL
+ * @param {object} options - 请求选项
+ * @param {string} options.method - 请求方法，默认GET
+ * @param {object} options.headers - 额外请求头
+ * @param {object|string} options.body - 请求体，对象会序列化为JSON
+ * @param {number} options.timeout - 单次请求超时（毫秒）
+ * @param {number} options.retries - 失败后的重试次数
+ * @param {boolean} options.useProxy - 是否尝试使用本地代理
+ * @returns {Promise<{status: number, headers: object, url: string, data: any}>} 响应
+ */
+export async function httpRequest(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    useProxy = true,
+  } = options;
+
+  const requestHeaders = { ...DEFAULT_HEADERS, ...headers };
+  let payload;
+  if (body !== undefined) {
+    payload = typeof body === 'string' ? body : JSON.stringify(body);
+    if (typeof body !== 'string') requestHeaders['Content-Type'] = 'application/json';
+    requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
     // 如果需要代理，先测试代理是否可用
-    const actualUseProxy = useProxy && testProxyConnection();
-    const proxyArg = actualUseProxy ? '-x http://127.0.0.1:10809' : '';
-    const result = execSync(
-      `curl -s ${proxyArg} "${url}" \
-        -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36" \
-        -H "Accept: application/json, text/plain, */*" \
-        -H "Accept-Language: en-US,en;q=0.9" \
-        -H "Connection: keep-alive"`,
-      {
-        encoding: 'utf-8',
-        timeout: 30000,
-      }
-    );
-    return JSON.parse(result);
-  } catch (error) {
-    throw new Error(`Curl request failed: ${error.message}`);
+    const agent = useProxy && await testProxyConnection() ? getProxyAgent() : directAgent;
+
+    let res;
+    try {
+      res = await sendOnce(url, { method, headers: requestHeaders, body: payload, timeout, agent });
+    } catch (err) {
+      // 网络错误和超时均可重试
+      lastError = err;
+      if (attempt < retries) await sleep(getBackoffDelay(attempt));
+      continue;
+    }
+
+    const data = parseBody(res);
+    if (res.status >= 200 && res.status < 300) {
+      return { status: res.status, headers: res.headers, url: res.url, data };
+    }
+
+    const err = new Error(`HTTP ${res.status}: ${res.body.slice(0, 200)}`);
+    err.status = res.status;
+    err.headers = res.headers;
+    err.data = data;
+    // 只有限流和服务端错误值得重试
+    if (res.status !== 429 && res.status < 500) throw err;
+
+    lastError = err;
+    if (attempt < retries) await sleep(getBackoffDelay(attempt, res.headers['retry-after']));
   }
+
+  throw new Error(`HTTP request failed: ${lastError.message}`, { cause: lastError });
 }
 
 /**
@@ -78,21 +270,20 @@ export async function fetchJsonBrowser(url) {
 }
 
 /**
- * 智能fetch - 优先使用浏览器代理，失败则回退到curl
+ * 智能fetch - 可选浏览器代理，默认直接请求
  * @param {string} url - 请求URL
- * @param {object} options - 选项
- * @returns {any} JSON响应
+ * @param {object} options - 选项，除 useBrowser 外与 httpRequest 相同
+ * @returns {Promise<any>} JSON响应
  */
-export function fetchJson(url, options = {}) {
-  const { useBrowser = false } = options;
+export async function fetchJson(url, options = {}) {
+  const { useBrowser = false, ...requestOptions } = options;
 
   if (useBrowser && _browserFetch) {
-    // 浏览器模式是异步的
     return fetchJsonBrowser(url);
   }
 
-  // curl模式是同步的
-  return fetchJsonCurl(url);
+  const res = await httpRequest(url, requestOptions);
+  return res.data;
 }
 
 /**
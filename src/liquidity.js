@@ -0,0 +1,248 @@
+/**
+ * 深度感知的可成交规模估算
+ * 对冲所按订单簿逐档成交，VAR 按公开行情接口给出的分档报价成交，
+ * 两条腿都以各自的买卖中间价为基准计算滑点，求合计滑点不超过预算时的最大仓位
+ */
+import { fetchJson } from './httpClient.js';
+import { fetchVenueOrderBook } from './exchanges/index.js';
+import { resolveInstrument } from './symbolRegistry.js';
+import { config } from './config.js';
+import { ERROR_CODES } from './protocol.js';
+
+// VAR 公开行情接口（只读，无需登录），见 Variational 文档 Read-only API:
+// { listings: [{ ticker, quotes: { updated_at, size_1k: { bid, ask }, size_100k: { bid, ask }, ... } }] }
+// size_* 为该名义金额（USDC）下的成交价
+const VAR_STATS_API = 'https://omni-client-api.prod.ap-northeast-1.variational.io/metadata/stats';
+// 报价获取失败后暂停的时间，之后的任务重新尝试
+const QUOTE_RETRY_COOLDOWN = 5 * 60 * 1000;
+
+// 候选仓位阶梯（USDT）
+const SIZE_LADDER = [1000, 2500, 5000, 10000, 25000, 50000, 100000, 250000];
+// 结果有效期为两个刷新周期，后台任务完成前页面仍展示上一轮的结果
+const CACHE_TTL = config.autoRefreshInterval * 2;
+// 结果超过半个刷新周期才重新计算，页面触发的刷新不会重复请求
+const RECOMPUTE_AGE = config.autoRefreshInterval / 2;
+
+// 缓存 `${symbol}:${venue}:${direction}` -> { time, liquidity }
+const liquidityCache = new Map();
+// 正在运行的后台任务，同一时间只运行一个
+let refreshJob = null;
+// 报价获取失败后，在此时间之前不再请求
+let quotesRetryAt = 0;
+
+/**
+ * 按订单簿逐档吃单
+ * @param {Array<[number, number]>} levels - 价格档位 [价格, 数量]，按成交优先级排序
+ * @param {number} notional - 目标成交额（USDT）
+ * @returns {Object} { avgPrice, filledNotional, complete }
+ */
+export function walkBook(levels, notional) {
+  let remaining = notional;
+  let filledQty = 0;
+  let filledNotional = 0;
+
+  for (const [price, qty] of levels) {
+    if (remaining <= 0) break;
+    const levelNotional = price * qty;
+    const take = Math.min(levelNotional, remaining);
+    filledQty += take / price;
+    filledNotional += take;
+    remaining -= take;
+  }
+
+  return {
+    avgPrice: filledQty > 0 ? filledNotional / filledQty : 0,
+    filledNotional,
+    complete: remaining <= 1e-9,
+  };
+}
+
+/**
+ * 计算成交均价相对中间价的滑点
+ * @param {number} avgPrice - 成交均价
+ * @param {number} midPrice - 中间价
+ * @returns {number} 滑点（基点，不利方向为正）
+ */
+function slippageBps(avgPrice, midPrice) {
+  if (!midPrice) return Infinity;
+  return Math.abs(avgPrice - midPrice) / midPrice * 10000;
+}
+
+function parseQuoteSize(key) {
+  const match = /^size_(\d+(?:\.\d+)?)(k|m)?$/.exec(key);
+  if (!match) return null;
+  const unit = match[2] === 'm' ? 1e6 : match[2] === 'k' ? 1e3 : 1;
+  return Number(match[1]) * unit;
+}
+
+/**
+ * 解析 VAR 行情接口的分档报价，价格按注册表换算到基础币种口径
+ * @param {Object} data - 接口返回
+ * @returns {Map<string, Object>} 基础币种 -> { mid, levels: [{ size, bid, ask }] }，levels 按 size 升序
+ */
+export function parseVarQuotes(data) {
+  if (!Array.isArray(data?.listings)) {
+    const err = new Error('VAR 行情接口返回格式不符: 缺少 listings 数组');
+    err.code = ERROR_CODES.INVALID_RESPONSE;
+    throw err;
+  }
+
+  const quotes = new Map();
+  for (const listing of data.listings) {
+    const resolved = typeof listing?.ticker === 'string' ? resolveInstrument('var', listing.ticker) : null;
+    if (!resolved || !listing.quotes) continue;
+
+    const levels = [];
+    for (const [key, quote] of Object.entries(listing.quotes)) {
+      const size = parseQuoteSize(key);
+      const bid = parseFloat(quote?.bid);
+      const ask = parseFloat(quote?.ask);
+      if (!size || !(bid > 0) || !(ask >= bid)) continue;
+      levels.push({ size, bid: bid / resolved.multiplier, ask: ask / resolved.multiplier });
+    }
+    if (levels.length === 0) continue;
+
+    levels.sort((a, b) => a.size - b.size);
+    // 最小档的买卖中间价最接近盘口中间价，作为滑点基准
+    quotes.set(resolved.asset, { mid: (levels[0].bid + levels[0].ask) / 2, levels });
+  }
+  return quotes;
+}
+
+/**
+ * 拉取 VAR 分档报价，失败后 QUOTE_RETRY_COOLDOWN 内直接返回 null
+ * @returns {Promise<Map|null>}
+ */
+async function fetchVarQuotes() {
+  if (Date.now() < quotesRetryAt) return null;
+  try {
+    return parseVarQuotes(await fetchJson(VAR_STATS_API));
+  } catch (err) {
+    quotesRetryAt = Date.now() + QUOTE_RETRY_COOLDOWN;
+    console.error(`[DEPTH] VAR 报价获取失败，${QUOTE_RETRY_COOLDOWN / 60000} 分钟后重试: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * 计算单个套利对的可成交规模
+ * VAR 只有少数几个档位的报价，某个仓位按不小于它的最小档位成交价估算（偏保守），超出最大档位后停止
+ * @param {Object} opp - 套利机会
+ * @param {Object} varQuote - parseVarQuotes 返回的该币种报价 { mid, levels }
+ * @param {Object} options - 选项
+ * @param {number} options.budgetBps - 两条腿合计滑点预算（基点）
+ * @returns {Promise<Object>} 可成交规模信息
+ */
+export async function computeExecutableSize(opp, varQuote, options = {}) {
+  const { budgetBps = config.depthBudgetBps } = options;
+
+  const book = await fetchVenueOrderBook(opp.hedgeVenue, opp.symbol);
+  // 缺少任一侧时中间价为 NaN，滑点比较恒为 false，会被误判为未超预算
+  if (!book.bids.length || !book.asks.length) {
+    throw new Error(`${opp.hedgeVenue} 订单簿缺少买盘或卖盘`);
+  }
+  const hedgeMid = (book.bids[0][0] + book.asks[0][0]) / 2;
+  // SHORT_VAR: VAR卖出 + 对冲所买入；SHORT_HEDGE: VAR买入 + 对冲所卖出
+  const hedgeLevels = opp.direction === 'SHORT_VAR' ? book.asks : book.bids;
+
+  const levels = [];
+  let best = null;
+
+  for (const size of SIZE_LADDER) {
+    const hedgeFill = walkBook(hedgeLevels, size);
+    const varLevel = varQuote.levels.find(level => level.size >= size);
+    if (!hedgeFill.complete || !varLevel) break;
+
+    const varAvgPrice = opp.direction === 'SHORT_VAR' ? varLevel.bid : varLevel.ask;
+    const level = {
+      size,
+      varAvgPrice,
+      hedgeAvgPrice: hedgeFill.avgPrice,
+      varSlippageBps: slippageBps(varAvgPrice, varQuote.mid),
+      hedgeSlippageBps: slippageBps(hedgeFill.avgPrice, hedgeMid),
+    };
+    level.totalSlippageBps = level.varSlippageBps + level.hedgeSlippageBps;
+    levels.push(level);
+
+    if (!(level.totalSlippageBps <= budgetBps)) break;
+    best = level;
+  }
+
+  return {
+    budgetBps,
+    maxSize: best ? best.size : 0,
+    varAvgPrice: best?.varAvgPrice ?? null,
+    hedgeAvgPrice: best?.hedgeAvgPrice ?? null,
+    totalSlippageBps: best?.totalSlippageBps ?? null,
+    levels,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function liquidityKey(opp) {
+  return `${opp.symbol}:${opp.hedgeVenue}:${opp.direction}`;
+}
+
+/**
+ * 为套利对附加缓存中未过期的可成交规模，不发起请求
+ * @param {Array} opportunities - 套利机会列表
+ */
+export function attachCachedLiquidity(opportunities) {
+  const now = Date.now();
+  for (const opp of opportunities) {
+    if (opp.direction === 'NONE') continue;
+    const cached = liquidityCache.get(liquidityKey(opp));
+    if (cached && now - cached.time < CACHE_TTL) {
+      opp.liquidity = cached.liquidity;
+    }
+  }
+}
+
+async function computeLiquidity(opportunities, { topN, budgetBps }) {
+  const targets = opportunities
+    .filter(o => o.direction !== 'NONE')
+    .slice(0, topN)
+    .filter(opp => {
+      const cached = liquidityCache.get(liquidityKey(opp));
+      return !cached || Date.now() - cached.time >= RECOMPUTE_AGE;
+    });
+  if (targets.length === 0) return 0;
+
+  const varQuotes = await fetchVarQuotes();
+  if (!varQuotes) return 0;
+
+  let updated = 0;
+  // 逐个计算，避免同时向对冲所发送大量深度请求
+  for (const opp of targets) {
+    const varQuote = varQuotes.get(opp.symbol);
+    if (!varQuote) continue;
+
+    try {
+      const liquidity = await computeExecutableSize(opp, varQuote, { budgetBps });
+      liquidityCache.set(liquidityKey(opp), { time: Date.now(), liquidity });
+      updated++;
+    } catch (err) {
+      console.error(`[DEPTH] ${opp.symbol} 深度计算失败: ${err.message}`);
+    }
+  }
+  return updated;
+}
+
+/**
+ * 在后台为排名靠前的套利对计算可成交规模，不阻塞数据刷新
+ * 上一轮任务未结束时直接返回该任务，结果写入缓存，由 attachCachedLiquidity 附加
+ * @param {Array} opportunities - 已排序的套利机会列表
+ * @param {Object} options - 选项
+ * @param {number} options.topN - 计算的套利对数量
+ * @param {number} options.budgetBps - 两条腿合计滑点预算（基点）
+ * @returns {Promise<number>} 本轮新计算的套利对数量
+ */
+export function refreshLiquidity(opportunities, options = {}) {
+  const { topN = config.depthTopN, budgetBps = config.depthBudgetBps } = options;
+  if (!refreshJob) {
+    refreshJob = computeLiquidity(opportunities, { topN, budgetBps }).finally(() => {
+      refreshJob = null;
+    });
+  }
+  return refreshJob;
+}
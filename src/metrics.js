@@ -0,0 +1,161 @@
+/**
+ * Prometheus 指标
+ * 各模块创建并更新指标，/metrics 按文本格式（version 0.0.4）输出
+ * 抓取时才计算的指标（如缓存年龄）通过 collect 回调在输出前刷新
+ */
+
+const PREFIX = 'variational_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// 已注册指标，按注册顺序输出
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// 以标签组合作为序列key，保证相同标签写入同一序列
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function register(type, name, help) {
+  const metric = {
+    type,
+    name: PREFIX + name,
+    help,
+    series: new Map(), // seriesKey -> { labels, ... }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function getSeries(metric, labels, init) {
+  const key = seriesKey(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { labels, ...init() };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+/**
+ * 创建计数器（只增不减）
+ * @param {string} name - 指标名（不含前缀）
+ * @param {string} help - 说明
+ * @returns {Object} { inc(labels, value) }
+ */
+export function createCounter(name, help) {
+  const metric = register('counter', name, help);
+  return {
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+/**
+ * 创建仪表（可任意设置）
+ * @param {string} name - 指标名（不含前缀）
+ * @param {string} help - 说明
+ * @param {Object} options - 选项
+ * @param {Function} options.collect - 输出前调用，参数为 gauge 自身，可在其中 set/reset
+ * @returns {Object} { set(labels, value), reset() }
+ */
+export function createGauge(name, help, options = {}) {
+  const metric = register('gauge', name, help);
+  const gauge = {
+    set(labels = {}, value) {
+      getSeries(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    reset() {
+      metric.series.clear();
+    },
+  };
+  if (options.collect) {
+    metric.collect = () => options.collect(gauge);
+  }
+  return gauge;
+}
+
+/**
+ * 创建直方图
+ * @param {string} name - 指标名（不含前缀）
+ * @param {string} help - 说明
+ * @param {Object} options - 选项
+ * @param {Array<number>} options.buckets - 桶上界（秒）
+ * @returns {Object} { observe(labels, value), startTimer(labels) }
+ */
+export function createHistogram(name, help, options = {}) {
+  const metric = register('histogram', name, help);
+  const buckets = options.buckets || DEFAULT_BUCKETS;
+
+  const histogram = {
+    observe(labels = {}, value) {
+      const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+    // 返回结束函数，调用时记录经过的秒数
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => histogram.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+  };
+  metric.buckets = buckets;
+  return histogram;
+}
+
+function renderSeries(metric) {
+  const lines = [];
+  for (const series of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+  return lines;
+}
+
+/**
+ * 输出所有指标的 Prometheus 文本格式
+ * @returns {string} 指标文本
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    if (metric.collect) {
+      try {
+        metric.collect();
+      } catch (err) {
+        console.error(`[METRICS] 采集 ${metric.name} 失败: ${err.message}`);
+      }
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...renderSeries(metric));
+  }
+  return lines.join('\n') + '\n';
+}
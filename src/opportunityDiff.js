@@ -0,0 +1,34 @@
+/**
+ * 套利机会增量
+ * SSE 推送只发送变化的行。时间线以生成时的当前时间为起点，回本时间也从当前时间算起，
+ * 每次重建都会变化，比较时去掉这些字段，只有费率、价格、收益等数据变化时才算变化。
+ */
+
+/**
+ * 生成用于比较的行，去掉随当前时间变化的字段
+ * @param {Object} opportunity - 套利机会
+ * @returns {string}
+ */
+function stableRow({ timeline, breakEvenHours, alternatives, ...row }) {
+  return JSON.stringify({
+    ...row,
+    alternatives: alternatives?.map(({ breakEvenHours: altBreakEven, ...alt }) => alt),
+  });
+}
+
+/**
+ * 对比两次刷新结果，按交易对找出变化和消失的行
+ * @param {Array} previous - 上次的套利机会列表
+ * @param {Array} current - 本次的套利机会列表
+ * @returns {Object} { changed, removed, order }
+ */
+export function diffOpportunities(previous, current) {
+  const previousRows = new Map((previous || []).map(o => [o.symbol, stableRow(o)]));
+  const currentSymbols = new Set(current.map(o => o.symbol));
+
+  return {
+    changed: current.filter(o => previousRows.get(o.symbol) !== stableRow(o)),
+    removed: [...previousRows.keys()].filter(symbol => !currentSymbols.has(symbol)),
+    order: current.map(o => o.symbol),
+  };
+}
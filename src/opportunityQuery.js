@@ -0,0 +1,156 @@
+/**
+ * 套利机会查询
+ * 为 REST 接口提供过滤、排序、分页，默认去掉时间线以减小响应体积
+ */
+
+const DIRECTIONS = ['SHORT_VAR', 'SHORT_HEDGE', 'NONE'];
+const SORT_FIELDS = ['netDailyProfit', 'dailyProfit', 'annualDiff', 'rateDiff8h', 'volume24h', 'breakEvenHours', 'symbol'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * 构造参数错误，接口层据此返回400
+ */
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseNumberParam(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) throw badRequest(`参数 ${name} 必须是数字: ${raw}`);
+  return value;
+}
+
+function parseIntegerParam(params, name, defaultValue, max) {
+  const value = parseNumberParam(params, name);
+  if (value === null) return defaultValue;
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw badRequest(`参数 ${name} 必须是 0-${max} 之间的整数`);
+  }
+  return value;
+}
+
+function parseBooleanParam(params, name) {
+  const raw = params.get(name);
+  return raw === '1' || raw === 'true';
+}
+
+/**
+ * 去掉时间线，列表接口默认使用
+ */
+function toSummary(opp) {
+  const { timeline, ...summary } = opp;
+  return summary;
+}
+
+/**
+ * 按排序字段比较，null 值（如不回本的 breakEvenHours）始终排在最后
+ */
+function compareBy(field, descending) {
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    return descending ? -diff : diff;
+  };
+}
+
+/**
+ * 查询套利机会列表
+ * @param {Array} opportunities - 套利机会列表（已按净收益排序）
+ * @param {URLSearchParams} params - 查询参数
+ *   direction: SHORT_VAR | SHORT_HEDGE | NONE，可逗号分隔多个
+ *   minVolume: VAR 24h成交量下限
+ *   minProfit: 扣除成本后的日收益下限（USDT）
+ *   sort: 排序字段，前缀 - 表示降序，如 -annualDiff
+ *   limit / offset: 分页，limit 默认50，最大500
+ *   includeTimeline: 1 | true 时返回时间线
+ * @returns {Object} { total, offset, limit, opportunities }
+ */
+export function queryOpportunities(opportunities, params) {
+  let result = opportunities;
+
+  const direction = params.get('direction');
+  if (direction) {
+    const directions = direction.split(',').map(d => d.trim().toUpperCase());
+    const unknown = directions.filter(d => !DIRECTIONS.includes(d));
+    if (unknown.length > 0) throw badRequest(`未知的 direction: ${unknown.join(', ')}，可选: ${DIRECTIONS.join(', ')}`);
+    result = result.filter(o => directions.includes(o.direction));
+  }
+
+  const minVolume = parseNumberParam(params, 'minVolume');
+  if (minVolume !== null) {
+    result = result.filter(o => o.volume24h >= minVolume);
+  }
+
+  const minProfit = parseNumberParam(params, 'minProfit');
+  if (minProfit !== null) {
+    result = result.filter(o => o.netDailyProfit >= minProfit);
+  }
+
+  const sort = params.get('sort');
+  if (sort) {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    if (!SORT_FIELDS.includes(field)) throw badRequest(`不支持的排序字段: ${field}，可选: ${SORT_FIELDS.join(', ')}`);
+    result = [...result].sort(compareBy(field, descending));
+  }
+
+  const limit = parseIntegerParam(params, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseIntegerParam(params, 'offset', 0, Number.MAX_SAFE_INTEGER);
+  const page = result.slice(offset, offset + limit);
+
+  return {
+    total: result.length,
+    offset,
+    limit,
+    opportunities: parseBooleanParam(params, 'includeTimeline') ? page : page.map(toSummary),
+  };
+}
+
+/**
+ * 解码路径中的交易对，非法的百分号编码（如 %E0）按参数错误处理
+ * @param {string} raw - URL 路径片段
+ * @returns {string} 交易对
+ */
+export function decodeSymbolParam(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    throw badRequest(`交易对编码无效: ${raw}`);
+  }
+}
+
+/**
+ * 查询单个交易对详情（含时间线）
+ * @param {Array} opportunities - 套利机会列表
+ * @param {string} symbol - 交易对，不区分大小写
+ * @returns {Object|null} 套利机会
+ */
+export function findOpportunity(opportunities, symbol) {
+  const target = symbol.toUpperCase();
+  return opportunities.find(o => o.symbol.toUpperCase() === target) || null;
+}
+
+/**
+ * 列出所有交易对及可用的对冲交易所
+ * @param {Array} opportunities - 套利机会列表
+ * @returns {Array<Object>} [{ symbol, hedgeVenue, direction, venues }]
+ */
+export function listSymbols(opportunities) {
+  return opportunities
+    .map(o => ({
+      symbol: o.symbol,
+      hedgeVenue: o.hedgeVenue,
+      direction: o.direction,
+      venues: [o.hedgeVenue, ...(o.alternatives || []).map(a => a.hedgeVenue)],
+    }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
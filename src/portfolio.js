@@ -0,0 +1,278 @@
+/**
+ * VAR 账户持仓
+ * 浏览器代理的 fetch 在已登录的页面中执行（credentials: same-origin），可以直接读取账户接口。
+ * 这里通过 browserFetch 拉取持仓、余额和资金费记录，整理成按基础币种索引的持仓，
+ * 供 /api/portfolio 和看板的持仓列使用。
+ *
+ * 接口地址和返回格式取自 VAR 页面自身的请求，并非公开接口，解析时按下列格式严格校验：
+ *   positions: [{ position_info: { instrument: { underlying }, qty, avg_entry_price }, price_info: { price }, value, upnl }]
+ *              qty 带符号，空头为负
+ *   portfolio: { balance, upnl }
+ *   funding_payments: { result: [{ instrument: { underlying }, amount, created_at }] }，按 created_at 从新到旧
+ *                     用 limit/offset 分页，只汇总最近 FUNDING_WINDOW 内的记录
+ * 数值字段为数字或数字字符串。任一接口失败或格式不符时整体抛出错误（INVALID_RESPONSE），
+ * 由 /api/portfolio 返回给看板显示，不展示不完整或猜测出的持仓。
+ */
+import { browserFetch, PRIORITY } from './wsServer.js';
+import { resolveInstrument } from './symbolRegistry.js';
+import { ERROR_CODES } from './protocol.js';
+
+const VAR_POSITIONS_API = 'https://omni.variational.io/api/positions';
+const VAR_PORTFOLIO_API = 'https://omni.variational.io/api/portfolio';
+const VAR_FUNDING_API = 'https://omni.variational.io/api/funding_payments';
+
+const CACHE_TTL = 60 * 1000;
+// 资金费按最近 FUNDING_WINDOW 汇总
+const FUNDING_WINDOW = 7 * 24 * 3600 * 1000;
+const FUNDING_PAGE_SIZE = 100;
+// 持仓多、结算频繁时一周的记录可能很多，超过页数上限只汇总已取得的部分并标记 truncated
+const FUNDING_MAX_PAGES = 10;
+const MAX_RECENT_PAYMENTS = 50;
+
+let cachedPortfolio = null;
+let lastFetchTime = 0;
+let inFlight = null;
+
+function invalidResponse(part, detail) {
+  const err = new Error(`VAR ${part} 接口返回格式不符: ${detail}`);
+  err.code = ERROR_CODES.INVALID_RESPONSE;
+  return err;
+}
+
+function describeShape(value) {
+  if (Array.isArray(value)) return `数组(${value.length})`;
+  if (value && typeof value === 'object') return `对象 {${Object.keys(value).slice(0, 10).join(', ')}}`;
+  return typeof value;
+}
+
+/**
+ * 读取数值字段，缺失或不是有效数字时抛出
+ * @param {any} value - 字段值
+ * @param {string} part - 接口名，用于错误信息
+ * @param {string} field - 字段路径，用于错误信息
+ * @returns {number}
+ */
+function requireNumber(value, part, field) {
+  const num = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  if (value === '' || !Number.isFinite(num)) {
+    throw invalidResponse(part, `${field} 不是有效数字 (${JSON.stringify(value)})`);
+  }
+  return num;
+}
+
+function requireUnderlying(instrument, part, field) {
+  const underlying = instrument?.underlying;
+  if (typeof underlying !== 'string' || !underlying) {
+    throw invalidResponse(part, `${field}.underlying 缺失`);
+  }
+  // 被手动排除的合约仍是真实持仓，按原名显示
+  return resolveInstrument('var', underlying) || { asset: underlying, multiplier: 1 };
+}
+
+function requireArray(value, part, field) {
+  if (!Array.isArray(value)) {
+    throw invalidResponse(part, `${field} 应为数组，实际为 ${describeShape(value)}`);
+  }
+  return value;
+}
+
+/**
+ * 解析单个持仓，数量和价格按注册表换算到基础币种口径
+ * @param {Object} raw - 接口返回的持仓
+ * @param {number} index - 序号，用于错误信息
+ * @returns {Object|null} 空仓时返回 null
+ */
+function parsePosition(raw, index) {
+  const field = `positions[${index}]`;
+  const info = raw?.position_info;
+  if (!info || typeof info !== 'object') throw invalidResponse('positions', `${field}.position_info 缺失`);
+
+  const resolved = requireUnderlying(info.instrument, 'positions', `${field}.position_info.instrument`);
+  const qty = requireNumber(info.qty, 'positions', `${field}.position_info.qty`);
+  if (qty === 0) return null;
+
+  const entryPrice = requireNumber(info.avg_entry_price, 'positions', `${field}.position_info.avg_entry_price`);
+  const markPrice = requireNumber(raw.price_info?.price, 'positions', `${field}.price_info.price`);
+
+  return {
+    symbol: resolved.asset,
+    side: qty > 0 ? 'LONG' : 'SHORT',
+    size: Math.abs(qty) * resolved.multiplier,
+    entryPrice: entryPrice / resolved.multiplier,
+    markPrice: markPrice / resolved.multiplier,
+    notional: Math.abs(requireNumber(raw.value, 'positions', `${field}.value`)),
+    unrealizedPnl: requireNumber(raw.upnl, 'positions', `${field}.upnl`),
+  };
+}
+
+/**
+ * 解析持仓列表
+ * @param {any} data - 接口返回
+ * @returns {Array<Object>}
+ */
+function parsePositions(data) {
+  return requireArray(data, 'positions', '响应').map(parsePosition).filter(Boolean);
+}
+
+/**
+ * 解析账户余额
+ * @param {any} data - 接口返回的账户信息
+ * @returns {Object} { equity, unrealizedPnl }
+ */
+function parseBalance(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw invalidResponse('portfolio', `响应应为对象，实际为 ${describeShape(data)}`);
+  }
+  return {
+    equity: requireNumber(data.balance, 'portfolio', 'balance'),
+    unrealizedPnl: requireNumber(data.upnl, 'portfolio', 'upnl'),
+  };
+}
+
+function parsePaymentTime(raw, field) {
+  const time = Date.parse(raw?.created_at);
+  if (!Number.isFinite(time)) {
+    throw invalidResponse('funding_payments', `${field}.created_at 不是有效时间 (${JSON.stringify(raw?.created_at)})`);
+  }
+  return time;
+}
+
+/**
+ * 分页拉取资金费记录，直到覆盖 since 之后的全部记录
+ * 某页不足 FUNDING_PAGE_SIZE 条、或已出现 since 之前的记录时停止；
+ * 接口忽略 offset（与上一页相同）时视为只有一页
+ * @param {number} since - 窗口起点（毫秒时间戳）
+ * @returns {Promise<Object>} { payments, truncated }
+ */
+async function fetchFundingPayments(since) {
+  const payments = [];
+  let previousFirst = null;
+
+  for (let page = 0; page < FUNDING_MAX_PAGES; page++) {
+    const query = new URLSearchParams({ limit: FUNDING_PAGE_SIZE, offset: page * FUNDING_PAGE_SIZE });
+    const data = await browserFetch(`${VAR_FUNDING_API}?${query}`, { priority: PRIORITY.NORMAL });
+    const result = requireArray(data?.result, 'funding_payments', 'result');
+
+    const first = JSON.stringify(result[0]);
+    if (page > 0 && first === previousFirst) return { payments, truncated: false };
+    previousFirst = first;
+    payments.push(...result);
+
+    if (result.length < FUNDING_PAGE_SIZE) return { payments, truncated: false };
+    const oldest = result[result.length - 1];
+    if (parsePaymentTime(oldest, `result[${payments.length - 1}]`) < since) return { payments, truncated: false };
+  }
+  console.log(`[PORTFOLIO] 资金费记录超过 ${FUNDING_MAX_PAGES} 页，只汇总最近 ${payments.length} 条`);
+  return { payments, truncated: true };
+}
+
+/**
+ * 汇总资金费记录
+ * @param {Array<Object>} payments - 接口返回的资金费记录
+ * @param {number} since - 窗口起点（毫秒时间戳），更早的记录不计入
+ * @param {boolean} truncated - 是否因页数上限未取全窗口内的记录
+ * @returns {Object} { windowDays, truncated, bySymbol: { 币种: 合计 }, total, recent }
+ */
+function summarizeFunding(payments, since, truncated) {
+  const bySymbol = {};
+  const recent = [];
+  let total = 0;
+
+  payments.forEach((raw, index) => {
+    const field = `result[${index}]`;
+    const resolved = requireUnderlying(raw?.instrument, 'funding_payments', `${field}.instrument`);
+    const amount = requireNumber(raw.amount, 'funding_payments', `${field}.amount`);
+    const time = parsePaymentTime(raw, field);
+    if (time < since) return;
+
+    bySymbol[resolved.asset] = (bySymbol[resolved.asset] || 0) + amount;
+    total += amount;
+    recent.push({ symbol: resolved.asset, amount, time: new Date(time).toISOString() });
+  });
+
+  recent.sort((a, b) => b.time.localeCompare(a.time));
+  return {
+    windowDays: FUNDING_WINDOW / (24 * 3600 * 1000),
+    truncated,
+    bySymbol,
+    total,
+    recent: recent.slice(0, MAX_RECENT_PAYMENTS),
+  };
+}
+
+async function loadPortfolio() {
+  const since = Date.now() - FUNDING_WINDOW;
+  const [positionsData, balanceData, fundingPayments] = await Promise.all([
+    browserFetch(VAR_POSITIONS_API, { priority: PRIORITY.NORMAL }),
+    browserFetch(VAR_PORTFOLIO_API, { priority: PRIORITY.NORMAL }),
+    fetchFundingPayments(since),
+  ]);
+
+  const positions = parsePositions(positionsData);
+  const balance = parseBalance(balanceData);
+  const funding = summarizeFunding(fundingPayments.payments, since, fundingPayments.truncated);
+
+  // 同一币种可能有多个持仓（不同结算周期），合并为净持仓
+  const holdings = {};
+  for (const position of positions) {
+    const holding = holdings[position.symbol] || { size: 0, notional: 0, unrealizedPnl: 0 };
+    const sign = position.side === 'LONG' ? 1 : -1;
+    holding.size += sign * position.size;
+    holding.notional += sign * position.notional;
+    holding.unrealizedPnl += position.unrealizedPnl;
+    holdings[position.symbol] = holding;
+  }
+  for (const [symbol, holding] of Object.entries(holdings)) {
+    holdings[symbol] = {
+      side: holding.size >= 0 ? 'LONG' : 'SHORT',
+      size: Math.abs(holding.size),
+      notional: Math.abs(holding.notional),
+      unrealizedPnl: holding.unrealizedPnl,
+      funding: funding.bySymbol[symbol] || 0,
+    };
+  }
+
+  return {
+    updatedAt: new Date().toISOString(),
+    balance,
+    positions,
+    holdings,
+    funding,
+  };
+}
+
+/**
+ * 获取 VAR 账户持仓、余额和资金费，CACHE_TTL 内返回缓存，并发调用共用同一次请求
+ * 任一接口失败或格式不符时抛出，并清空缓存，页面不再展示旧的持仓
+ * @returns {Promise<Object>} { updatedAt, balance, positions, holdings, funding }
+ */
+export async function getPortfolio() {
+  if (cachedPortfolio && Date.now() - lastFetchTime < CACHE_TTL) {
+    return cachedPortfolio;
+  }
+  if (!inFlight) {
+    inFlight = loadPortfolio()
+      .then(portfolio => {
+        cachedPortfolio = portfolio;
+        lastFetchTime = Date.now();
+        return portfolio;
+      })
+      .catch(err => {
+        console.error(`[PORTFOLIO] 获取持仓失败: ${err.message}`);
+        cachedPortfolio = null;
+        throw err;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return inFlight;
+}
+
+/**
+ * 获取最近一次的持仓，不发起请求，用于渲染页面
+ * @returns {Object|null}
+ */
+export function getCachedPortfolio() {
+  return cachedPortfolio;
+}
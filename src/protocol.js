@@ -0,0 +1,15 @@
+/**
+ * 浏览器代理通信协议
+ * 定义位于 extension/protocol.js（插件和控制台注入脚本共用），这里导入后以 ESM 形式导出
+ */
+import '../extension/protocol.js';
+
+export const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  METHODS,
+  ERROR_CODES,
+  CLOSE_CODES,
+  checkVersion,
+} = globalThis.VarProtocol;
@@ -0,0 +1,177 @@
+/**
+ * 交易对映射注册表
+ * 将各交易所的合约名映射为统一的基础币种（如 VAR 的 PEPE 对应 Binance 的 1000PEPEUSDT、
+ * Hyperliquid 的 kPEPE），记录计价货币和合约乘数，并支持在配置中手动覆盖。
+ *
+ * 合约乘数表示一张合约对应的币数量：1000PEPEUSDT 的价格是 1000 个 PEPE 的价格，
+ * 归一化时价格除以乘数、深度数量乘以乘数，费率为百分比不受影响。
+ */
+import { config } from './config.js';
+
+// 多倍合约的前缀，按长度从长到短匹配
+const MULTIPLIER_PREFIXES = [
+  ['1000000', 1e6],
+  ['100000', 1e5],
+  ['10000', 1e4],
+  ['1000', 1e3],
+  ['1M', 1e6],
+];
+
+/**
+ * 拆分多倍合约前缀，剩余部分必须以字母开头，避免把 1INCH 之类误判
+ * @param {string} base - 去掉计价货币后的合约名
+ * @returns {Object} { asset, multiplier }
+ */
+function splitMultiplier(base) {
+  for (const [prefix, multiplier] of MULTIPLIER_PREFIXES) {
+    const rest = base.slice(prefix.length);
+    if (base.startsWith(prefix) && /^[A-Z]/.test(rest)) {
+      return { asset: rest, multiplier };
+    }
+  }
+  return { asset: base, multiplier: 1 };
+}
+
+/**
+ * 各交易所合约名的解析和默认生成规则
+ * parse: 合约名 -> { asset, quote, multiplier }，不支持的合约返回 null
+ * format: 基础币种 -> 默认合约名，用于尚未拉取过合约列表时（如回测）
+ */
+const VENUE_RULES = {
+  var: {
+    parse: instrument => ({ asset: instrument, quote: 'USDC', multiplier: 1 }),
+    format: asset => asset,
+  },
+  binance: {
+    parse: instrument => {
+      const match = instrument.match(/^([A-Z0-9]+?)(USDT|USDC)$/);
+      return match ? { ...splitMultiplier(match[1]), quote: match[2] } : null;
+    },
+    format: asset => `${asset}USDT`,
+  },
+  bybit: {
+    parse: instrument => {
+      // Bybit 早期的 USDC 永续命名为 BTCPERP
+      const match = instrument.match(/^([A-Z0-9]+?)(USDT|USDC|PERP)$/);
+      if (!match) return null;
+      return { ...splitMultiplier(match[1]), quote: match[2] === 'PERP' ? 'USDC' : match[2] };
+    },
+    format: asset => `${asset}USDT`,
+  },
+  okx: {
+    parse: instrument => {
+      // 只支持U本位永续，币本位（-USD-SWAP）跳过
+      const match = instrument.match(/^([A-Z0-9]+)-(USDT|USDC)-SWAP$/);
+      return match ? { ...splitMultiplier(match[1]), quote: match[2] } : null;
+    },
+    format: asset => `${asset}-USDT-SWAP`,
+  },
+  hyperliquid: {
+    parse: instrument => {
+      // kPEPE 表示 1000 个 PEPE
+      const match = instrument.match(/^k([A-Z].*)$/);
+      return match
+        ? { asset: match[1], quote: 'USDC', multiplier: 1000 }
+        : { asset: instrument, quote: 'USDC', multiplier: 1 };
+    },
+    format: asset => asset,
+  },
+};
+
+// 最近一次拉取得到的映射 venue -> { asset -> { instrument, quote, multiplier } }
+const instrumentMaps = {};
+
+/**
+ * 解析合约名，手动覆盖优先
+ * @param {string} venue - 交易所id，VAR 为 'var'
+ * @param {string} instrument - 交易所合约名
+ * @returns {Object|null} { asset, quote, multiplier }，被排除或无法识别时返回 null
+ */
+export function resolveInstrument(venue, instrument) {
+  const overrides = config.symbolOverrides[venue] || {};
+  const rule = VENUE_RULES[venue];
+  const parsed = rule ? rule.parse(instrument) : { asset: instrument, quote: 'USDT', multiplier: 1 };
+
+  if (instrument in overrides) {
+    // 覆盖为 null 表示排除该合约
+    if (overrides[instrument] === null) return null;
+    return { quote: 'USDT', multiplier: 1, ...parsed, ...overrides[instrument] };
+  }
+  return parsed;
+}
+
+/**
+ * 查找基础币种在交易所的合约
+ * @param {string} venue - 交易所id
+ * @param {string} asset - 基础币种
+ * @returns {Object} { instrument, quote, multiplier }
+ */
+export function getInstrument(venue, asset) {
+  const known = instrumentMaps[venue]?.[asset];
+  if (known) return known;
+
+  // 反查手动覆盖中指向该币种的合约
+  const overrides = config.symbolOverrides[venue] || {};
+  for (const [instrument, override] of Object.entries(overrides)) {
+    if (override?.asset === asset) {
+      return { instrument, ...resolveInstrument(venue, instrument) };
+    }
+  }
+
+  const rule = VENUE_RULES[venue];
+  const instrument = rule ? rule.format(asset) : asset;
+  return { instrument, ...resolveInstrument(venue, instrument), asset };
+}
+
+/**
+ * 将交易所返回的原始费率数据归一化到基础币种
+ * 同一币种有多个计价货币时按 config.preferredQuotes 的顺序择优
+ * @param {string} venue - 交易所id
+ * @param {Array<Object>} rates - 适配器返回的费率列表，instrument 字段为合约名
+ * @returns {Array<Object>} symbol 为基础币种、价格按乘数折算后的费率列表
+ */
+export function normalizeVenueRates(venue, rates) {
+  const bestByAsset = new Map();
+  const quoteRank = quote => {
+    const rank = config.preferredQuotes.indexOf(quote);
+    return rank === -1 ? Infinity : rank;
+  };
+
+  for (const rate of rates) {
+    const resolved = resolveInstrument(venue, rate.instrument);
+    if (!resolved || quoteRank(resolved.quote) === Infinity) continue;
+
+    const current = bestByAsset.get(resolved.asset);
+    if (current && quoteRank(current.quote) <= quoteRank(resolved.quote)) continue;
+
+    bestByAsset.set(resolved.asset, {
+      ...rate,
+      symbol: resolved.asset,
+      quote: resolved.quote,
+      multiplier: resolved.multiplier,
+      markPrice: rate.markPrice / resolved.multiplier,
+      indexPrice: rate.indexPrice / resolved.multiplier,
+    });
+  }
+
+  instrumentMaps[venue] = {};
+  for (const [asset, rate] of bestByAsset) {
+    instrumentMaps[venue][asset] = { instrument: rate.instrument, quote: rate.quote, multiplier: rate.multiplier };
+  }
+  return [...bestByAsset.values()];
+}
+
+/**
+ * 将合约订单簿折算为基础币种的价格和数量
+ * @param {Object} book - { bids, asks }，[价格, 数量] 以合约为单位
+ * @param {number} multiplier - 合约乘数
+ * @returns {Object} 折算后的订单簿
+ */
+export function normalizeOrderBook(book, multiplier) {
+  if (multiplier === 1) return book;
+  const scale = ([price, qty]) => [price / multiplier, qty * multiplier];
+  return {
+    bids: book.bids.map(scale),
+    asks: book.asks.map(scale),
+  };
+}
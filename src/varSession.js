@@ -0,0 +1,143 @@
+/**
+ * VAR 会话状态
+ * 浏览器页面登录失效（401/403）或出现人机验证时，VAR 接口会持续失败，轮询只能返回旧数据。
+ * 这里根据 browserFetch 的错误码记录会话状态，通知监听者（Telegram 管理员、面板），
+ * 并请求插件刷新或重新打开 VAR 页面；下一次请求成功后恢复为 ok。
+ */
+import { createGauge } from './metrics.js';
+import { ERROR_CODES } from './protocol.js';
+import { requestBrowserRecovery } from './wsServer.js';
+
+export const SESSION_STATUS = Object.freeze({
+  OK: 'ok',
+  SESSION_EXPIRED: 'session_expired',
+  CHALLENGE: 'challenge',
+});
+
+const RECOVERY_COOLDOWN = 60000;  // 两次刷新页面的最小间隔
+const MAX_RECOVERY_ATTEMPTS = 3;  // 多次刷新仍未恢复时需要人工处理，不再自动刷新
+
+let session = createSession(SESSION_STATUS.OK);
+const listeners = new Set();
+
+createGauge('var_session_status', 'VAR 会话状态，当前状态为1', {
+  collect: gauge => {
+    for (const status of Object.values(SESSION_STATUS)) {
+      gauge.set({ status }, session.status === status ? 1 : 0);
+    }
+  },
+});
+
+function createSession(status, error = null) {
+  return {
+    status,
+    since: new Date().toISOString(),
+    error,
+    recoveryAttempts: 0,
+    lastRecoveryAt: null,
+  };
+}
+
+function setSession(next) {
+  const previous = session.status;
+  session = next;
+  if (previous === next.status) return;
+
+  const snapshot = getVarSession();
+  for (const listener of listeners) {
+    try {
+      listener(snapshot, previous);
+    } catch (err) {
+      console.error(`[SESSION] 状态监听器出错: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * 生成会话状态的提示文字，供 Telegram 通知和面板横幅共用
+ * @param {Object} state - 会话状态
+ * @returns {string}
+ */
+function describeVarSession(state) {
+  const since = new Date(state.since).toLocaleTimeString('zh-CN', { hour12: false });
+  if (state.status === SESSION_STATUS.SESSION_EXPIRED) {
+    return `⚠️ VAR 登录已失效 (${since} 起)，数据暂停更新。正在刷新页面尝试恢复，如未恢复请在浏览器中重新登录 omni.variational.io`;
+  }
+  if (state.status === SESSION_STATUS.CHALLENGE) {
+    return `⚠️ VAR 页面出现人机验证 (${since} 起)，数据暂停更新。请在浏览器中完成验证`;
+  }
+  return '✅ VAR 会话已恢复，数据恢复更新';
+}
+
+function tryRecover() {
+  if (session.recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) return;
+  if (session.lastRecoveryAt && Date.now() - Date.parse(session.lastRecoveryAt) < RECOVERY_COOLDOWN) return;
+
+  const sent = requestBrowserRecovery(session.status);
+  if (sent === 0) {
+    console.log('[SESSION] 没有已连接的插件，无法自动刷新VAR页面');
+    return;
+  }
+  session.recoveryAttempts++;
+  session.lastRecoveryAt = new Date().toISOString();
+  console.log(`[SESSION] 已请求插件刷新VAR页面 (${session.recoveryAttempts}/${MAX_RECOVERY_ATTEMPTS})`);
+}
+
+/**
+ * 判断 browserFetch 错误是否属于会话问题
+ * @param {Error} err - browserFetch 抛出的错误
+ * @returns {string|null} 对应的会话状态，普通错误返回 null
+ */
+export function classifyVarError(err) {
+  if (err?.code === ERROR_CODES.CHALLENGE) return SESSION_STATUS.CHALLENGE;
+  if (err?.code === ERROR_CODES.UNAUTHORIZED || err?.code === ERROR_CODES.FORBIDDEN) {
+    return SESSION_STATUS.SESSION_EXPIRED;
+  }
+  return null;
+}
+
+/**
+ * 记录 VAR 请求失败，会话问题时更新状态并尝试恢复
+ * @param {Error} err - browserFetch 抛出的错误
+ * @returns {boolean} 是否为会话问题（调用方无需再重试）
+ */
+export function reportVarFailure(err) {
+  const status = classifyVarError(err);
+  if (!status) return false;
+
+  if (session.status === status) {
+    session.error = err.message;
+  } else {
+    console.log(`[SESSION] VAR 会话异常 (${status}): ${err.message}`);
+    setSession(createSession(status, err.message));
+  }
+  tryRecover();
+  return true;
+}
+
+/**
+ * 记录 VAR 请求成功，之前处于异常状态时恢复为 ok
+ */
+export function reportVarSuccess() {
+  if (session.status === SESSION_STATUS.OK) return;
+  console.log(`[SESSION] VAR 会话已恢复 (之前: ${session.status})`);
+  setSession(createSession(SESSION_STATUS.OK));
+}
+
+/**
+ * 获取当前会话状态
+ * @returns {{status: string, since: string, error: string|null, recoveryAttempts: number, lastRecoveryAt: string|null, message: string}}
+ */
+export function getVarSession() {
+  return { ...session, message: describeVarSession(session) };
+}
+
+/**
+ * 监听会话状态变化
+ * @param {Function} listener - (session, previousStatus) => void
+ * @returns {Function} 取消监听
+ */
+export function onVarSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
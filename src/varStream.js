@@ -0,0 +1,242 @@
+/**
+ * VAR 实时推送
+ * 通过浏览器插件转发 VAR 页面的 WebSocket 消息（stream_tap），或用页面保存的原生WebSocket
+ * 单独连接 config.varStreamUrl（stream_subscribe），在内存中维护每个资产最新的价格和费率。
+ * 同一连接上还有账户的订单、成交等消息，只解析 channel（或 type）匹配 config.varStreamChannels 的行情消息，
+ * 在其中查找带 asset 和 price / funding_rate 字段的对象，字段含义与 supported_assets 接口一致（funding_rate 为年化小数）。
+ * 收到更新后合并 NOTIFY_INTERVAL 内的消息通知监听者，由看板即时重算并推送，不必等下一次轮询。
+ * 流关闭或浏览器断开后自动重新订阅；超过 STALE_TIMEOUT 未更新的资产不再覆盖轮询数据。
+ */
+import { config } from './config.js';
+import { createGauge } from './metrics.js';
+import { METHODS, ERROR_CODES } from './protocol.js';
+import { resolveInstrument } from './symbolRegistry.js';
+import { subscribeBrowserStream, unsubscribeBrowserStream, waitForBrowser } from './wsServer.js';
+
+const STALE_TIMEOUT = 30000;   // 30秒未更新的资产视为过期
+const RESUBSCRIBE_DELAY = 5000;
+const UNSUPPORTED_RETRY_DELAY = 60000; // 浏览器端不支持推送（如控制台注入脚本）时降低重试频率
+const MAX_DEPTH = 4;           // 查找资产对象的最大嵌套层数
+const NOTIFY_INTERVAL = 1000;  // 合并推送通知的间隔
+
+// 基础币种 -> 最新推送数据
+const assetMap = new Map();
+let running = false;
+let streamId = null;
+let resubscribeTimer = null;
+let lastMessageTime = 0;
+const listeners = new Set();
+// 等待通知的基础币种
+const pendingSymbols = new Set();
+let notifyTimer = null;
+
+createGauge('var_stream_active', 'VAR 推送流是否已订阅', {
+  collect: gauge => gauge.set({}, streamId !== null ? 1 : 0),
+});
+createGauge('var_stream_age_seconds', 'VAR 推送最后一条有效消息距今的时间', {
+  collect: gauge => {
+    if (lastMessageTime) gauge.set({}, (Date.now() - lastMessageTime) / 1000);
+  },
+});
+
+function parseNumber(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * 判断是否为行情消息，按 channel / type 字段的前缀匹配
+ * @param {Object} message - 解析后的消息
+ * @returns {boolean}
+ */
+function isMarketDataMessage(message) {
+  const channel = message?.channel ?? message?.type;
+  return typeof channel === 'string' && config.varStreamChannels.some(prefix => channel.startsWith(prefix));
+}
+
+function notifyListeners() {
+  notifyTimer = null;
+  const symbols = [...pendingSymbols];
+  pendingSymbols.clear();
+  for (const listener of listeners) {
+    try {
+      listener(symbols);
+    } catch (err) {
+      console.error(`[VAR-WS] 更新监听器出错: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * 递归查找消息中的资产更新
+ * @param {any} node - JSON节点
+ * @param {Array<Object>} found - 收集结果
+ * @param {number} depth - 当前层数
+ */
+function collectAssetUpdates(node, found, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+  if (Array.isArray(node)) {
+    node.forEach(item => collectAssetUpdates(item, found, depth + 1));
+    return;
+  }
+
+  const asset = node.asset || node.underlying || node.symbol;
+  const price = parseNumber(node.price ?? node.mark_price);
+  const fundingRate = parseNumber(node.funding_rate);
+  if (typeof asset === 'string' && (price !== null || fundingRate !== null)) {
+    found.push({
+      asset,
+      price,
+      fundingRate,
+      fundingIntervalSeconds: parseNumber(node.funding_interval_s),
+      fundingTime: node.funding_time || null,
+    });
+    return;
+  }
+
+  for (const value of Object.values(node)) {
+    collectAssetUpdates(value, found, depth + 1);
+  }
+}
+
+function handleMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    // 页面连接上可能有非JSON的心跳消息
+    return;
+  }
+
+  if (!isMarketDataMessage(message)) return;
+
+  const updates = [];
+  collectAssetUpdates(message, updates);
+  if (updates.length === 0) return;
+
+  lastMessageTime = Date.now();
+  for (const update of updates) {
+    const resolved = resolveInstrument('var', update.asset);
+    if (!resolved) continue;
+
+    // 只更新本条消息携带的字段，其余保留上次的值
+    const current = assetMap.get(resolved.asset) || {};
+    assetMap.set(resolved.asset, {
+      price: update.price !== null ? update.price / resolved.multiplier : current.price,
+      annualFundingRate: update.fundingRate ?? current.annualFundingRate,
+      fundingIntervalSeconds: update.fundingIntervalSeconds ?? current.fundingIntervalSeconds,
+      fundingTime: update.fundingTime || current.fundingTime || null,
+      updatedAt: lastMessageTime,
+    });
+    pendingSymbols.add(resolved.asset);
+  }
+
+  if (pendingSymbols.size > 0 && !notifyTimer && listeners.size > 0) {
+    notifyTimer = setTimeout(notifyListeners, NOTIFY_INTERVAL);
+  }
+}
+
+function handleClose({ reason, code }) {
+  console.log(`[VAR-WS] 推送流已关闭 (${reason}${code !== undefined ? `, code: ${code}` : ''})`);
+  streamId = null;
+  scheduleResubscribe();
+}
+
+function scheduleResubscribe(delay = RESUBSCRIBE_DELAY) {
+  if (!running || resubscribeTimer) return;
+  resubscribeTimer = setTimeout(() => {
+    resubscribeTimer = null;
+    subscribe().catch(handleSubscribeError);
+  }, delay);
+}
+
+function handleSubscribeError(err) {
+  console.error(`[VAR-WS] 订阅失败: ${err.message}`);
+  streamId = null;
+  scheduleResubscribe(err.code === ERROR_CODES.METHOD_UNSUPPORTED ? UNSUPPORTED_RETRY_DELAY : RESUBSCRIBE_DELAY);
+}
+
+async function subscribe() {
+  if (!running) return;
+  await waitForBrowser();
+  if (!running) return;
+
+  const handlers = { onMessage: handleMessage, onClose: handleClose };
+  if (config.varStreamUrl) {
+    streamId = await subscribeBrowserStream(METHODS.STREAM_SUBSCRIBE, { url: config.varStreamUrl }, handlers);
+    console.log(`[VAR-WS] 已通过页面原生WebSocket订阅 ${config.varStreamUrl}`);
+  } else {
+    streamId = await subscribeBrowserStream(METHODS.STREAM_TAP, { match: config.varStreamMatch }, handlers);
+    console.log(`[VAR-WS] 已监听页面WebSocket (${config.varStreamMatch})`);
+  }
+}
+
+/**
+ * 启动 VAR 推送订阅，浏览器未连接时等待连接后再订阅
+ */
+export function startVarStream() {
+  if (running) return;
+  running = true;
+  subscribe().catch(handleSubscribeError);
+}
+
+/**
+ * 停止推送订阅并清空缓存
+ */
+export async function stopVarStream() {
+  running = false;
+  if (resubscribeTimer) {
+    clearTimeout(resubscribeTimer);
+    resubscribeTimer = null;
+  }
+  if (notifyTimer) {
+    clearTimeout(notifyTimer);
+    notifyTimer = null;
+  }
+  const id = streamId;
+  streamId = null;
+  assetMap.clear();
+  pendingSymbols.clear();
+  lastMessageTime = 0;
+  if (id !== null) {
+    await unsubscribeBrowserStream(id).catch(err => {
+      console.error(`[VAR-WS] 取消订阅失败: ${err.message}`);
+    });
+  }
+}
+
+/**
+ * 监听推送更新，同一 NOTIFY_INTERVAL 内的消息合并为一次回调
+ * @param {Function} listener - (symbols) => void，symbols 为本次更新的基础币种
+ * @returns {Function} 取消监听
+ */
+export function onVarStreamUpdate(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 用推送中未过期的价格和费率覆盖轮询得到的资产数据
+ * @param {Array<Object>} assets - getVariationalAssets 解析后的资产列表
+ * @returns {Array<Object>} 覆盖后的资产列表，fundingRate 与轮询一致为单周期百分比
+ */
+export function applyVarStreamUpdates(assets) {
+  if (assetMap.size === 0) return assets;
+  const now = Date.now();
+
+  return assets.map(asset => {
+    const update = assetMap.get(asset.symbol);
+    if (!update || now - update.updatedAt > STALE_TIMEOUT) return asset;
+
+    const intervalSeconds = update.fundingIntervalSeconds || asset.fundingIntervalSeconds;
+    return {
+      ...asset,
+      price: update.price ?? asset.price,
+      fundingRate: update.annualFundingRate !== undefined
+        ? update.annualFundingRate * 100 * intervalSeconds / (365 * 24 * 3600)
+        : asset.fundingRate,
+      fundingIntervalSeconds: intervalSeconds,
+      fundingTime: update.fundingTime || asset.fundingTime,
+    };
+  });
+}
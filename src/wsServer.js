@@ -1,182 +1,829 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
 import { WebSocketServer } from 'ws';
+import { config } from './config.js';
+import { createCounter, createGauge, createHistogram } from './metrics.js';
+import {
+  PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, MESSAGE_TYPES, METHODS, ERROR_CODES, CLOSE_CODES, checkVersion,
+} from './protocol.js';
 
-const PORT = 8766;
+const PORT = config.wsPort;
 const PING_INTERVAL = 15000; // 15秒发送一次ping
 const PONG_TIMEOUT = 10000;  // 10秒内没收到pong则断开
+const AUTH_TIMEOUT = 5000;   // 连接后5秒内未完成认证则断开
+const TIMEOUT_GRACE = 2000;  // 服务端超时比浏览器端多等的时间
+const HELLO_WARN_TIMEOUT = 10000; // 认证后10秒未收到hello则提示（插件没有打开VAR页面时也不会发送）
 
+/**
+ * 已通过认证的浏览器客户端 ws -> client
+ * 每个连接独立保活、独立统计；RPC 在健康的客户端之间轮询分配
+ */
+const clients = new Map();
 // 存储pending的RPC请求
 const pendingRequests = new Map();
+// 浏览器推送流 streamId -> { client, remoteStreamId, onMessage, onClose }
+// 各浏览器内部的流id互相独立，服务端另行分配全局唯一的streamId
+const streamHandlers = new Map();
 let requestId = 0;
-let browserClient = null;
-let pingTimer = null;
-let pongTimer = null;
-let isAlive = false;
-
-// 创建WebSocket服务器
-const wss = new WebSocketServer({ port: PORT });
-
-wss.on('listening', () => {
-  console.log(`[WS] 服务器已启动，监听端口: ${PORT}`);
-  console.log('[WS] 等待浏览器连接...');
-  console.log('[WS] 请在 https://omni.variational.io/ 页面控制台注入 inject.js');
+let clientId = 0;
+let nextStreamId = 0;
+let roundRobinIndex = 0;
+
+/**
+ * RPC 排队优先级，数值越小越先分配
+ * 定时刷新用 HIGH，页面/接口触发的请求用 NORMAL，深度报价等批量请求用 LOW
+ */
+export const PRIORITY = Object.freeze({ HIGH: 0, NORMAL: 1, LOW: 2 });
+// 等待空闲并发的请求，按 (priority, seq) 排序
+const requestQueue = [];
+let queueSeq = 0;
+
+// 错误码 -> 失败指标的 reason 标签
+const FAILURE_REASONS = {
+  BROWSER_DISCONNECTED: 'disconnected',
+  [ERROR_CODES.TIMEOUT]: 'timeout',
+  [ERROR_CODES.CANCELLED]: 'cancelled',
+  [ERROR_CODES.RESPONSE_TOO_LARGE]: 'too_large',
+  [ERROR_CODES.INVALID_RESPONSE]: 'invalid_response',
+};
+
+const rpcDuration = createHistogram('browser_rpc_duration_seconds', '浏览器代理RPC成功响应耗时');
+const rpcFailures = createCounter('browser_rpc_failures_total', '浏览器代理RPC失败次数');
+const rpcRetries = createCounter('browser_rpc_retries_total', '浏览器断开后换到其他客户端重试的RPC次数');
+const authFailures = createCounter('browser_auth_failures_total', '浏览器连接被拒绝次数');
+const httpErrors = createCounter('browser_http_errors_total', '浏览器代理请求返回非 2xx 的次数');
+const chunkedResponses = createCounter('browser_rpc_chunked_total', '分块发送的RPC结果数量');
+const chunkedBytes = createCounter('browser_rpc_chunked_bytes_total', '分块结果的传输字节数和还原后字节数');
+createGauge('browser_rpc_pending', '等待浏览器响应的RPC数量', {
+  collect: gauge => gauge.set({}, pendingRequests.size),
+});
+createGauge('browser_rpc_queued', '排队等待空闲并发的RPC数量', {
+  collect: gauge => {
+    gauge.reset();
+    for (const [name, priority] of Object.entries(PRIORITY)) {
+      gauge.set({ priority: name.toLowerCase() }, requestQueue.filter(task => task.priority === priority).length);
+    }
+  },
 });
+createGauge('browser_connected', '浏览器是否已连接', {
+  collect: gauge => gauge.set({}, isBrowserConnected() ? 1 : 0),
+});
+createGauge('browser_clients', '已连接的浏览器客户端数量', {
+  collect: gauge => gauge.set({}, getHealthyClients().length),
+});
+
+/**
+ * 握手阶段检查 Origin，拒绝非插件、非 VAR 页面发起的浏览器连接
+ * 没有 Origin 的连接（本地进程）放行，由后续的密钥认证把关
+ */
+function verifyClient({ origin, req }) {
+  if (!origin || config.bridgeAllowedOrigins.some(prefix => origin.startsWith(prefix))) {
+    return true;
+  }
+  console.log(`[WS] 拒绝来源 ${origin} 的连接 (${req.socket.remoteAddress})`);
+  authFailures.inc({ reason: 'origin' });
+  return false;
+}
+
+// 挑战-应答认证: 客户端用共享密钥对服务端下发的随机数做 HMAC-SHA256，密钥本身不经过网络
+function signChallenge(nonce) {
+  return crypto.createHmac('sha256', config.bridgeToken).update(nonce).digest('hex');
+}
 
-function clearTimers() {
-  if (pingTimer) {
-    clearInterval(pingTimer);
-    pingTimer = null;
+function verifyChallenge(nonce, signature) {
+  const expected = Buffer.from(signChallenge(nonce), 'hex');
+  const actual = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// WebSocket服务器，由 startServer 创建
+let wss = null;
+
+function clearTimers(client) {
+  if (client.pingTimer) {
+    clearInterval(client.pingTimer);
+    client.pingTimer = null;
   }
-  if (pongTimer) {
-    clearTimeout(pongTimer);
-    pongTimer = null;
+  if (client.pongTimer) {
+    clearTimeout(client.pongTimer);
+    client.pongTimer = null;
   }
 }
 
-function startPingPong(ws) {
-  clearTimers();
-  isAlive = true;
+function startPingPong(client) {
+  clearTimers(client);
+  client.isAlive = true;
+  const { ws } = client;
 
-  pingTimer = setInterval(() => {
-    if (!ws || ws.readyState !== 1) {
-      clearTimers();
+  client.pingTimer = setInterval(() => {
+    if (ws.readyState !== 1) {
+      clearTimers(client);
       return;
     }
 
     // 发送ping
     try {
-      ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
-      console.log('[WS] 发送ping');
+      ws.send(JSON.stringify({ type: MESSAGE_TYPES.PING, timestamp: Date.now() }));
+      console.log(`[WS] #${client.id} 发送ping`);
     } catch (e) {
-      console.error('[WS] 发送ping失败:', e.message);
+      console.error(`[WS] #${client.id} 发送ping失败:`, e.message);
       return;
     }
 
     // 设置pong超时
-    pongTimer = setTimeout(() => {
-      if (!isAlive) {
-        console.log('[WS] pong超时，断开连接');
+    client.pongTimer = setTimeout(() => {
+      if (!client.isAlive) {
+        console.log(`[WS] #${client.id} pong超时，断开连接`);
         ws.terminate();
       }
     }, PONG_TIMEOUT);
 
-    isAlive = false;
+    client.isAlive = false;
   }, PING_INTERVAL);
 }
 
-function cleanupConnection() {
-  clearTimers();
-  browserClient = null;
-  // 拒绝所有pending请求
+function disconnectedError(client) {
+  const err = new Error(`Browser disconnected (#${client.id})`);
+  err.code = 'BROWSER_DISCONNECTED';
+  return err;
+}
+
+function cleanupConnection(client) {
+  clearTimers(client);
+  clients.delete(client.ws);
+  releaseClientWork(client);
+}
+
+/**
+ * 客户端断开或所有页面关闭后，放弃其上的请求和订阅
+ * @param {Object} client - 客户端
+ */
+function releaseClientWork(client) {
+  // 拒绝该客户端上所有pending请求，由调度队列换到其他客户端重试
   for (const [id, pending] of pendingRequests) {
-    pending.reject(new Error('Browser disconnected'));
+    if (pending.client !== client) continue;
     pendingRequests.delete(id);
+    pending.reject(disconnectedError(client));
+  }
+  // 页面内的订阅随之失效
+  for (const [id, stream] of streamHandlers) {
+    if (stream.client !== client) continue;
+    streamHandlers.delete(id);
+    stream.onClose?.({ reason: 'disconnected' });
+  }
+  // 排队中只能由该客户端处理的请求直接失败
+  drainQueue();
+}
+
+function findStream(client, remoteStreamId) {
+  for (const [id, stream] of streamHandlers) {
+    if (stream.client === client && stream.remoteStreamId === remoteStreamId) return [id, stream];
   }
+  return [];
 }
 
-wss.on('connection', (ws, req) => {
-  console.log(`[WS] 浏览器已连接 (${req.socket.remoteAddress})`);
+function handleConnection(ws, req) {
+  const client = {
+    id: ++clientId,
+    ws,
+    remoteAddress: req.socket.remoteAddress,
+    connectedAt: new Date(),
+    domain: null,
+    // 插件模式下一个连接可能对应多个tab: tabId -> domain
+    tabs: new Map(),
+    isAlive: false,
+    pingTimer: null,
+    pongTimer: null,
+    // hello 声明的协议信息，收到兼容的 hello 前不分配请求
+    protocolVersion: null,
+    methods: [],
+    clientType: null,
+    // 正在处理的请求数，受 config.browserConcurrency 限制
+    active: 0,
+    stats: { requests: 0, successes: 0, failures: 0, totalDuration: 0, lastError: null },
+  };
+  console.log(`[WS] 浏览器 #${client.id} 已连接 (${client.remoteAddress})，等待认证`);
+
+  // 认证通过前不加入客户端池，也不处理任何其他消息
+  const nonce = crypto.randomBytes(32).toString('hex');
+  let authenticated = false;
+  const authTimer = setTimeout(() => rejectClient('认证超时', 'timeout'), AUTH_TIMEOUT);
+  let helloTimer = null;
+
+  function rejectClient(message, reason) {
+    clearTimeout(authTimer);
+    console.log(`[WS] #${client.id} ${message}，断开连接`);
+    authFailures.inc({ reason });
+    ws.close(CLOSE_CODES.AUTH_FAILED, 'authentication failed');
+  }
+
+  function handleAuth(msg) {
+    if (msg.type !== MESSAGE_TYPES.AUTH || !verifyChallenge(nonce, msg.signature)) {
+      rejectClient(msg.type === MESSAGE_TYPES.AUTH ? '认证失败' : `认证前收到 ${msg.type} 消息`, 'invalid');
+      return;
+    }
+    clearTimeout(authTimer);
+    authenticated = true;
+    // v5 起 auth 携带客户端类型，插件 background 在没有VAR页面时也能执行恢复操作
+    client.clientType = msg.client || null;
+    clients.set(ws, client);
+    ws.send(JSON.stringify({ type: MESSAGE_TYPES.AUTH_OK }));
+    console.log(`[WS] #${client.id} 认证通过，当前 ${clients.size} 个客户端`);
+    startPingPong(client);
+
+    helloTimer = setTimeout(() => {
+      if (client.protocolVersion === null) {
+        console.log(`[WS] #${client.id} 认证后未收到 hello，请确认已打开VAR页面；控制台注入的脚本可能已过期`);
+      }
+    }, HELLO_WARN_TIMEOUT);
+  }
+
+  function handleHello(msg) {
+    const reason = checkVersion(msg.version);
+    if (reason) {
+      console.log(`[WS] #${client.id} 协议不兼容 (${msg.client || 'unknown'} v${msg.version}): ${reason}`);
+      ws.send(JSON.stringify({
+        type: MESSAGE_TYPES.HELLO_ERROR,
+        code: ERROR_CODES.PROTOCOL_MISMATCH,
+        message: reason,
+        version: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+      }));
+      ws.close(CLOSE_CODES.PROTOCOL_MISMATCH, 'protocol mismatch');
+      return;
+    }
 
-  // 如果已有连接，先关闭旧连接
-  if (browserClient && browserClient.readyState === 1) {
-    console.log('[WS] 关闭旧连接');
-    browserClient.terminate();
+    clearTimeout(helloTimer);
+    client.protocolVersion = msg.version;
+    client.methods = Array.isArray(msg.methods) ? msg.methods : [];
+    client.clientType = msg.client || client.clientType;
+    ws.send(JSON.stringify({ type: MESSAGE_TYPES.HELLO_ACK, version: PROTOCOL_VERSION }));
+    console.log(`[WS] #${client.id} 协议 v${msg.version} (${client.clientType || 'unknown'})，支持: ${client.methods.join(', ')}`);
+    drainQueue();
   }
 
-  browserClient = ws;
-  startPingPong(ws);
+  ws.send(JSON.stringify({ type: MESSAGE_TYPES.AUTH_CHALLENGE, nonce }));
 
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data.toString());
 
-      if (msg.type === 'rpc_response') {
+      if (!authenticated) {
+        handleAuth(msg);
+      } else if (msg.type === MESSAGE_TYPES.HELLO) {
+        handleHello(msg);
+      } else if (msg.type === MESSAGE_TYPES.RPC_RESPONSE) {
         const pending = pendingRequests.get(msg.id);
-        if (pending) {
+        if (pending && pending.client === client) {
           if (msg.error) {
-            pending.reject(new Error(msg.error));
+            const err = new Error(msg.error);
+            if (msg.code) err.code = msg.code;
+            pending.reject(err);
           } else {
             pending.resolve(msg.result);
           }
           pendingRequests.delete(msg.id);
         }
-      } else if (msg.type === 'ready') {
-        console.log(`[WS] 代理已就绪 (domain: ${msg.domain || 'unknown'})`);
-      } else if (msg.type === 'pong') {
-        isAlive = true;
-        if (pongTimer) {
-          clearTimeout(pongTimer);
-          pongTimer = null;
+      } else if (msg.type === MESSAGE_TYPES.RPC_CHUNK) {
+        const pending = pendingRequests.get(msg.id);
+        if (pending && pending.client === client) handleChunk(msg.id, pending, msg);
+      } else if (msg.type === MESSAGE_TYPES.STREAM_MESSAGE) {
+        const [, stream] = findStream(client, msg.streamId);
+        stream?.onMessage(msg.data, msg);
+      } else if (msg.type === MESSAGE_TYPES.STREAM_CLOSED) {
+        const [id, stream] = findStream(client, msg.streamId);
+        if (stream) {
+          streamHandlers.delete(id);
+          stream.onClose?.({ reason: 'closed', code: msg.code });
+        }
+      } else if (msg.type === MESSAGE_TYPES.READY) {
+        client.domain = msg.domain || null;
+        if (msg.tabId !== undefined) client.tabs.set(msg.tabId, msg.domain || null);
+        console.log(`[WS] #${client.id} 代理已就绪 (domain: ${msg.domain || 'unknown'}${msg.tabId !== undefined ? `, tab: ${msg.tabId}` : ''})`);
+      } else if (msg.type === MESSAGE_TYPES.TAB_CLOSED) {
+        client.tabs.delete(msg.tabId);
+        console.log(`[WS] #${client.id} tab ${msg.tabId} 已关闭`);
+        if (!hasOpenPage(client)) {
+          // 最后一个页面关闭后请求无人处理，直到有页面重新注册并发送 hello
+          console.log(`[WS] #${client.id} 已没有VAR页面，暂停分配请求`);
+          releaseClientWork(client);
         }
-        console.log('[WS] 收到pong');
-      } else if (msg.type === 'ping') {
+      } else if (msg.type === MESSAGE_TYPES.RECOVER_RESULT) {
+        if (msg.error) {
+          console.log(`[WS] #${client.id} 恢复VAR页面失败 (${msg.reason}): ${msg.error}`);
+        } else {
+          console.log(`[WS] #${client.id} 已恢复VAR页面 (${msg.reason}): ${msg.action} tab ${msg.tabId}`);
+        }
+      } else if (msg.type === MESSAGE_TYPES.PONG) {
+        client.isAlive = true;
+        if (client.pongTimer) {
+          clearTimeout(client.pongTimer);
+          client.pongTimer = null;
+        }
+        console.log(`[WS] #${client.id} 收到pong`);
+      } else if (msg.type === MESSAGE_TYPES.PING) {
         // 响应客户端的ping
-        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        ws.send(JSON.stringify({ type: MESSAGE_TYPES.PONG, timestamp: Date.now() }));
+      } else {
+        console.log(`[WS] #${client.id} 未知消息类型: ${msg.type}`);
       }
     } catch (e) {
-      console.error('[WS] 解析消息失败:', e.message);
+      console.error(`[WS] #${client.id} 解析消息失败:`, e.message);
     }
   });
 
   ws.on('close', (code, reason) => {
-    console.log(`[WS] 浏览器已断开 (code: ${code}, reason: ${reason || 'none'})`);
-    cleanupConnection();
+    clearTimeout(authTimer);
+    clearTimeout(helloTimer);
+    if (!authenticated) return;
+    cleanupConnection(client);
+    console.log(`[WS] 浏览器 #${client.id} 已断开 (code: ${code}, reason: ${reason || 'none'})，剩余 ${clients.size} 个客户端`);
   });
 
   ws.on('error', (err) => {
-    console.error('[WS] 连接错误:', err.message);
+    console.error(`[WS] #${client.id} 连接错误:`, err.message);
   });
-});
+}
 
-wss.on('error', (err) => {
-  console.error('[WS] 服务器错误:', err.message);
-});
+// 插件的 fetch 和推送流都在VAR页面中执行，插件客户端至少要有一个已注册的tab
+function hasOpenPage(client) {
+  return client.clientType !== 'extension' || client.tabs.size > 0;
+}
+
+// 已认证、完成协议协商且有页面可以执行请求的客户端
+function isHealthy(client) {
+  return client.ws.readyState === 1 && client.protocolVersion !== null && hasOpenPage(client);
+}
+
+function getHealthyClients() {
+  return Array.from(clients.values()).filter(isHealthy);
+}
+
+// 支持该方法且本次请求尚未尝试过的客户端（不考虑并发上限），指定了 target 的请求只能发往该客户端
+function getCandidateClients(task) {
+  return getHealthyClients().filter(client => client.methods.includes(task.method) && !task.tried.has(client)
+    && (!task.target || client === task.target));
+}
 
 /**
- * 通过浏览器代理发送HTTP请求
- * @param {string} url - 请求URL
- * @param {object} options - 请求选项
- * @returns {Promise<any>} 响应数据
+ * 轮询选择一个有空闲并发的候选客户端
+ * @param {Object} task - 排队中的请求
+ * @returns {Object|null} client
  */
-export function browserFetch(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    if (!browserClient || browserClient.readyState !== 1) {
-      reject(new Error('浏览器未连接。请在 https://omni.variational.io/ 注入 inject.js'));
-      return;
-    }
+function pickClient(task) {
+  const candidates = getCandidateClients(task).filter(client => client.active < config.browserConcurrency);
+  if (candidates.length === 0) return null;
+  roundRobinIndex = (roundRobinIndex + 1) % candidates.length;
+  return candidates[roundRobinIndex];
+}
+
+function abortError(task) {
+  const err = new Error(`请求已取消: ${task.method} ${task.params.url || ''}`);
+  err.code = ERROR_CODES.CANCELLED;
+  return err;
+}
+
+// 没有任何候选客户端时请求无法完成，返回对应错误
+function unavailableError(task) {
+  if (task.tried.size > 0) return disconnectedError([...task.tried].pop());
+  if (isBrowserConnected()) {
+    rpcFailures.inc({ method: task.method, reason: 'unsupported' });
+    const err = new Error(`已连接的浏览器均不支持 ${task.method}，请更新插件或重新生成注入脚本`);
+    err.code = ERROR_CODES.METHOD_UNSUPPORTED;
+    return err;
+  }
+  rpcFailures.inc({ method: task.method, reason: 'not_connected' });
+  return new Error('浏览器未连接。请在 https://omni.variational.io/ 注入 inject.js');
+}
+
+/**
+ * 通知浏览器放弃请求，浏览器端中止对应的 fetch，不再回复
+ */
+function sendCancel(client, id) {
+  if (client.ws.readyState !== 1) return;
+  try {
+    client.ws.send(JSON.stringify({ type: MESSAGE_TYPES.RPC_CANCEL, id }));
+  } catch (e) {
+    console.error(`[WS] #${client.id} 发送取消失败:`, e.message);
+  }
+}
 
+/**
+ * 向指定客户端发送一次RPC请求
+ * 浏览器端按 timeout 自行中止，服务端多等 TIMEOUT_GRACE 以收到浏览器的超时错误，仍未回复则发送取消
+ * @param {Object} client - 客户端
+ * @param {Object} task - { method, params, timeout }，发送后写入 requestId
+ * @returns {Promise<any>} 方法返回值
+ */
+function sendRpc(client, task) {
+  const { method, params, timeout } = task;
+  return new Promise((resolve, reject) => {
     const id = ++requestId;
-    const timeout = options.timeout || 30000;
+    const endTimer = rpcDuration.startTimer({ method });
+    const startTime = Date.now();
+    task.requestId = id;
+    client.stats.requests++;
+
+    const fail = (err, reason) => {
+      clearTimeout(timer);
+      client.stats.failures++;
+      client.stats.lastError = err.message;
+      rpcFailures.inc({ method, reason });
+      reject(err);
+    };
 
     const timer = setTimeout(() => {
       pendingRequests.delete(id);
-      reject(new Error(`请求超时: ${url}`));
-    }, timeout);
+      sendCancel(client, id);
+      const err = new Error(`请求超时: ${method} ${params.url || ''}`);
+      err.code = ERROR_CODES.TIMEOUT;
+      fail(err, 'timeout');
+    }, timeout + TIMEOUT_GRACE);
 
     pendingRequests.set(id, {
+      client,
       resolve: (result) => {
         clearTimeout(timer);
+        endTimer();
+        client.stats.successes++;
+        client.stats.totalDuration += Date.now() - startTime;
         resolve(result);
       },
-      reject: (err) => {
-        clearTimeout(timer);
-        reject(err);
-      },
+      reject: (err) => fail(err, FAILURE_REASONS[err.code] || 'error'),
     });
 
-    browserClient.send(JSON.stringify({
-      type: 'rpc_request',
-      id,
-      method: 'fetch',
-      params: { url, options },
-    }));
+    try {
+      client.ws.send(JSON.stringify({
+        type: MESSAGE_TYPES.RPC_REQUEST,
+        id,
+        method,
+        params,
+        timeout,
+      }));
+    } catch (e) {
+      pendingRequests.delete(id);
+      fail(disconnectedError(client), 'disconnected');
+    }
   });
 }
 
 /**
- * 检查浏览器是否已连接
+ * 按优先级顺序把排队的请求分配给有空闲并发的客户端
+ */
+function drainQueue() {
+  let i = 0;
+  while (i < requestQueue.length) {
+    const task = requestQueue[i];
+    if (getCandidateClients(task).length === 0) {
+      requestQueue.splice(i, 1);
+      task.settle(unavailableError(task));
+      continue;
+    }
+    const client = pickClient(task);
+    if (!client) {
+      i++;
+      continue;
+    }
+    requestQueue.splice(i, 1);
+    dispatch(task, client);
+  }
+}
+
+function enqueue(task) {
+  // 同优先级按提交顺序，重试的请求保留原序号排在前面
+  const index = requestQueue.findIndex(queued =>
+    queued.priority > task.priority || (queued.priority === task.priority && queued.seq > task.seq));
+  requestQueue.splice(index === -1 ? requestQueue.length : index, 0, task);
+  drainQueue();
+}
+
+function dispatch(task, client) {
+  task.client = client;
+  task.tried.add(client);
+  client.active++;
+
+  sendRpc(client, task).then(
+    result => task.settle(null, result),
+    err => {
+      if (err.code === 'BROWSER_DISCONNECTED' && !task.settled) {
+        // 请求途中客户端断开，换到其他客户端重试
+        console.log(`[WS] ${task.method} 在 #${client.id} 上中断，尝试其他客户端`);
+        rpcRetries.inc({ method: task.method });
+        task.client = null;
+        enqueue(task);
+        return;
+      }
+      task.settle(err);
+    }
+  ).finally(() => {
+    client.active--;
+    drainQueue();
+  });
+}
+
+/**
+ * 调用浏览器RPC：按优先级排队，每个客户端同时最多 config.browserConcurrency 个请求，
+ * 在空闲的客户端之间轮询；请求途中客户端断开时换到其他客户端重试
+ * options.target 指定客户端时只发往该客户端（如关闭该客户端上的推送流），断开后不再重试
+ * @returns {Promise<Object>} { result, client }
+ */
+function callBrowser(method, params, options = {}) {
+  const { timeout = 30000, priority = PRIORITY.NORMAL, signal, target = null } = options;
+
+  return new Promise((resolve, reject) => {
+    const task = {
+      method,
+      params,
+      timeout,
+      priority,
+      target,
+      seq: ++queueSeq,
+      tried: new Set(),
+      client: null,
+      requestId: null,
+      settled: false,
+    };
+
+    const onAbort = () => {
+      const index = requestQueue.indexOf(task);
+      if (index !== -1) requestQueue.splice(index, 1);
+
+      const pending = task.client && pendingRequests.get(task.requestId);
+      if (pending) {
+        // 已发出的请求通知浏览器中止，不再等待回复，同时释放该客户端的并发
+        pendingRequests.delete(task.requestId);
+        sendCancel(task.client, task.requestId);
+        pending.reject(abortError(task));
+      } else {
+        task.settle(abortError(task));
+      }
+    };
+
+    task.settle = (err, result) => {
+      if (task.settled) return;
+      task.settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ result, client: task.client });
+      }
+    };
+
+    if (signal?.aborted) {
+      task.settle(abortError(task));
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    enqueue(task);
+  });
+}
+
+/**
+ * 调用浏览器页面中的RPC方法
+ * @param {string} method - 方法名，如 fetch、stream_tap
+ * @param {object} params - 方法参数
+ * @param {object} options - 选项
+ * @param {number} options.timeout - 单次尝试的超时时间（毫秒），同时传给浏览器端中止请求
+ * @param {number} options.priority - 排队优先级 PRIORITY.HIGH / NORMAL / LOW
+ * @param {AbortSignal} options.signal - 取消信号，排队中直接移除，已发出则通知浏览器中止
+ * @returns {Promise<any>} 方法返回值
+ */
+export async function browserRpc(method, params, options = {}) {
+  const { result } = await callBrowser(method, params, options);
+  return result;
+}
+
+/**
+ * 通过浏览器代理发送HTTP请求，返回完整响应
+ * 非 2xx 不抛错，只有请求未完成（网络错误、超时、取消等）时抛出带 code 的错误
+ * @param {string} url - 请求URL
+ * @param {object} options - 请求选项，timeout / priority / signal 含义同 browserRpc，
+ *   其余 { method, headers, body, credentials } 传给浏览器 fetch，body 可以是对象（按JSON发送）
+ * @returns {Promise<Object>} { ok, status, statusText, url, redirected, headers, bodyType, body, timing }
+ */
+export function browserRequest(url, options = {}) {
+  const { timeout, priority, signal, ...fetchOptions } = options;
+  return browserRpc(METHODS.FETCH, { url, options: fetchOptions }, { timeout, priority, signal });
+}
+
+// Cloudflare 人机验证: 响应头 cf-mitigated: challenge，或 403/503 的验证页面
+function isChallengeResponse(response) {
+  if (response.headers['cf-mitigated'] === 'challenge') return true;
+  if (response.status !== 403 && response.status !== 503) return false;
+  return response.bodyType === 'text'
+    && /challenge-platform|cf-chl-|Just a moment\.\.\./i.test(response.body);
+}
+
+// Retry-After 可以是秒数或HTTP日期，统一换算为秒
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * 按响应状态生成分类错误
+ * @param {Object} response - browserRequest 返回的响应
+ * @returns {Error} 带 code、status、url、headers、body 的错误，429 另带 retryAfter（秒）
+ */
+function createHttpError(response) {
+  let code = ERROR_CODES.HTTP_ERROR;
+  if (isChallengeResponse(response)) code = ERROR_CODES.CHALLENGE;
+  else if (response.status === 401) code = ERROR_CODES.UNAUTHORIZED;
+  else if (response.status === 403) code = ERROR_CODES.FORBIDDEN;
+  else if (response.status === 429) code = ERROR_CODES.RATE_LIMITED;
+  else if (response.status >= 500) code = ERROR_CODES.SERVER_ERROR;
+
+  const err = new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''} (${code}): ${response.url}`);
+  err.code = code;
+  err.status = response.status;
+  err.url = response.url;
+  err.headers = response.headers;
+  err.body = response.body;
+  if (code === ERROR_CODES.RATE_LIMITED) {
+    err.retryAfter = parseRetryAfter(response.headers['retry-after']);
+  }
+  return err;
+}
+
+/**
+ * 通过浏览器代理发送HTTP请求，只返回响应体
+ * @param {string} url - 请求URL
+ * @param {object} options - 同 browserRequest
+ * @returns {Promise<any>} 响应数据，非 2xx 时抛出 createHttpError 分类的错误
+ */
+export async function browserFetch(url, options = {}) {
+  const response = await browserRequest(url, options);
+  if (!response.ok) {
+    const err = createHttpError(response);
+    httpErrors.inc({ code: err.code });
+    throw err;
+  }
+  return response.body;
+}
+
+/**
+ * 在浏览器页面中建立推送流
+ * stream_tap 转发页面自身WebSocket的消息，stream_subscribe 用保存的原生WebSocket新建连接
+ * @param {string} method - stream_tap | stream_subscribe
+ * @param {object} params - 方法参数
+ * @param {object} handlers - 回调
+ * @param {Function} handlers.onMessage - (data, msg) 收到一条推送
+ * @param {Function} handlers.onClose - ({ reason, code }) 流关闭或浏览器断开
+ * @returns {Promise<number>} streamId
+ */
+export async function subscribeBrowserStream(method, params, handlers) {
+  const { result, client } = await callBrowser(method, params, { priority: PRIORITY.HIGH });
+  const streamId = ++nextStreamId;
+  // 流绑定在建立它的客户端上，该客户端断开时触发 onClose
+  streamHandlers.set(streamId, { ...handlers, client, remoteStreamId: result.streamId });
+  return streamId;
+}
+
+/**
+ * 关闭浏览器推送流
+ * @param {number} streamId - subscribeBrowserStream 返回的流id
+ */
+export async function unsubscribeBrowserStream(streamId) {
+  const stream = streamHandlers.get(streamId);
+  if (!stream) return;
+  streamHandlers.delete(streamId);
+  if (stream.client.ws.readyState === 1) {
+    // 流只存在于建立它的客户端上，同样排队并占用该客户端的并发
+    await callBrowser(METHODS.STREAM_UNSUBSCRIBE, { streamId: stream.remoteStreamId }, {
+      priority: PRIORITY.HIGH,
+      target: stream.client,
+    });
+  }
+}
+
+/**
+ * 检查是否至少有一个浏览器已连接
  */
 export function isBrowserConnected() {
-  return browserClient && browserClient.readyState === 1;
+  return getHealthyClients().length > 0;
+}
+
+/**
+ * 获取各浏览器客户端的连接信息和RPC统计
+ * @returns {Array<Object>} 客户端列表
+ */
+export function getBrowserClients() {
+  return Array.from(clients.values()).map(client => {
+    const pending = Array.from(pendingRequests.values()).filter(p => p.client === client).length;
+    const { requests, successes, failures, totalDuration, lastError } = client.stats;
+    return {
+      id: client.id,
+      remoteAddress: client.remoteAddress,
+      domain: client.domain,
+      tabs: Array.from(client.tabs, ([tabId, domain]) => ({ tabId, domain })),
+      connectedAt: client.connectedAt.toISOString(),
+      healthy: isHealthy(client),
+      clientType: client.clientType,
+      protocolVersion: client.protocolVersion,
+      methods: client.methods,
+      requests,
+      successes,
+      failures,
+      pending,
+      avgLatencyMs: successes > 0 ? Math.round(totalDuration / successes) : null,
+      lastError,
+    };
+  });
+}
+
+function responseError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 还原分块发送的结果: base64 -> (gunzip) -> JSON
+ * @param {Array<string>} parts - 按 seq 排列的分块数据
+ * @param {string} encoding - 'gzip' | 'identity'
+ * @returns {any} 结果
+ */
+function decodeChunks(parts, encoding) {
+  const raw = Buffer.from(parts.join(''), 'base64');
+  let decoded = raw;
+  if (encoding === 'gzip') {
+    try {
+      decoded = zlib.gunzipSync(raw, { maxOutputLength: config.browserMaxResponseSize });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw responseError(ERROR_CODES.RESPONSE_TOO_LARGE, `解压后超过 ${config.browserMaxResponseSize} 字节`);
+      }
+      throw responseError(ERROR_CODES.INVALID_RESPONSE, `解压失败: ${err.message}`);
+    }
+  } else if (encoding !== 'identity') {
+    throw responseError(ERROR_CODES.INVALID_RESPONSE, `不支持的编码: ${encoding}`);
+  }
+
+  chunkedResponses.inc({ encoding });
+  chunkedBytes.inc({ stage: 'transfer' }, raw.length);
+  chunkedBytes.inc({ stage: 'decoded' }, decoded.length);
+  try {
+    return JSON.parse(decoded.toString('utf8'));
+  } catch (err) {
+    throw responseError(ERROR_CODES.INVALID_RESPONSE, `结果不是有效的JSON: ${err.message}`);
+  }
+}
+
+/**
+ * 收集 rpc_chunk，收齐后还原并完成请求；超过大小上限时立即失败，之后的分块忽略
+ * @param {number} id - 请求id
+ * @param {Object} pending - pendingRequests 中的记录，分块缓存在 pending.chunks
+ * @param {Object} msg - rpc_chunk 消息
+ */
+function handleChunk(id, pending, msg) {
+  const { seq, total, data } = msg;
+  if (!Number.isInteger(total) || total < 1 || typeof data !== 'string') return;
+  if (!pending.chunks) {
+    pending.chunks = { parts: new Array(total), received: 0, size: 0 };
+  }
+  const buffer = pending.chunks;
+  if (!Number.isInteger(seq) || seq < 0 || seq >= buffer.parts.length || buffer.parts[seq] !== undefined) return;
+
+  buffer.parts[seq] = data;
+  buffer.received++;
+  // base64 每4个字符对应3个字节
+  buffer.size += data.length * 3 / 4;
+  if (buffer.size > config.browserMaxResponseSize) {
+    pendingRequests.delete(id);
+    pending.reject(responseError(ERROR_CODES.RESPONSE_TOO_LARGE, `结果超过 ${config.browserMaxResponseSize} 字节`));
+    return;
+  }
+  if (buffer.received < buffer.parts.length) return;
+
+  pendingRequests.delete(id);
+  let result;
+  try {
+    result = decodeChunks(buffer.parts, msg.encoding);
+  } catch (err) {
+    pending.reject(err);
+    return;
+  }
+  pending.resolve(result);
+}
+
+/**
+ * 通知插件刷新VAR页面，没有打开的页面时新开一个
+ * 控制台注入的脚本无法操作tab，只发给插件连接（含尚未 hello 的 background）
+ * @param {string} reason - 恢复原因，插件据此决定是否把页面切到前台
+ * @returns {number} 收到通知的客户端数
+ */
+export function requestBrowserRecovery(reason) {
+  let sent = 0;
+  for (const client of clients.values()) {
+    if (client.clientType !== 'extension' || client.ws.readyState !== 1) continue;
+    client.ws.send(JSON.stringify({ type: MESSAGE_TYPES.RECOVER, reason }));
+    sent++;
+  }
+  return sent;
 }
 
 /**
@@ -199,18 +846,50 @@ export function waitForBrowser() {
 }
 
 /**
- * 启动服务器（已自动启动，此函数用于兼容）
+ * 启动服务器，调用方需先确认已配置 bridgeToken
+ * 超过 maxPayload 的单条消息会直接断开连接（旧版客户端不分块）
+ * @returns {Promise<void>} 开始监听后 resolve，监听失败时 reject
  */
 export function startServer() {
-  return Promise.resolve();
+  if (wss) return Promise.resolve();
+  if (!config.bridgeToken) {
+    return Promise.reject(new Error('未设置 bridgeToken'));
+  }
+
+  const server = new WebSocketServer({ port: PORT, verifyClient, maxPayload: config.browserMaxResponseSize });
+  wss = server;
+  server.on('connection', handleConnection);
+  server.on('error', (err) => {
+    console.error('[WS] 服务器错误:', err.message);
+  });
+
+  return new Promise((resolve, reject) => {
+    // 监听失败（端口被占用、无权限等）时 reject，之后可以重新调用 startServer
+    const onError = (err) => {
+      if (wss === server) wss = null;
+      server.close();
+      reject(err);
+    };
+    server.once('error', onError);
+    server.once('listening', () => {
+      server.off('error', onError);
+      console.log(`[WS] 服务器已启动，监听端口: ${PORT}`);
+      console.log('[WS] 等待浏览器连接...');
+      console.log('[WS] 请在 https://omni.variational.io/ 页面控制台注入 inject.js');
+      resolve();
+    });
+  });
 }
 
 /**
  * 停止服务器
  */
 export function stopServer() {
+  if (!wss) return Promise.resolve();
+  const server = wss;
+  wss = null;
   return new Promise((resolve) => {
-    wss.close(() => {
+    server.close(() => {
       console.log('[WS] 服务器已停止');
       resolve();
     });
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../src/backtest.js';
+
+const HOUR = 3600000;
+const DAY_START = Date.UTC(2024, 0, 1);
+
+test('结算时点恰好记录的快照不参与本次结算', () => {
+  const settlement = DAY_START + 8 * HOUR;
+  const result = runBacktest({
+    varSnapshots: [
+      { time: DAY_START + HOUR, rate: 0.1, interval: 28800 },
+      // 与 08:00 结算同一时刻记录的新费率，只影响之后的决策
+      { time: settlement, rate: 0, interval: 28800 },
+    ],
+    hedgeSnapshots: [{ time: DAY_START + HOUR, rate: 0, interval: 28800 }],
+    trigger: 0.1,
+    exit: 0.01,
+    from: DAY_START,
+    to: settlement + HOUR,
+  });
+
+  // 01:00 开空 VAR，08:00 按此前的 0.1% 结算，随后新费率低于退出值平仓
+  assert.equal(result.tradeCount, 1);
+  assert.equal(result.trades[0].exitTime, settlement);
+  assert.equal(result.settlementCount, 2);
+  assert.ok(Math.abs(result.realizedPnlPercent - 0.1) < 1e-12);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import { startBinanceStream, stopBinanceStream, getStreamRates, isBinanceStreamFresh } from '../src/binanceStream.js';
+
+function markPriceFrame(symbol, price, rate) {
+  return JSON.stringify([
+    { e: 'markPriceUpdate', E: Date.now(), s: symbol, p: String(price), i: String(price), r: String(rate), T: 1700006400000 },
+  ]);
+}
+
+// 等待推送数据满足条件，ws 消息异步到达
+async function waitFor(predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('等待超时');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('本地模拟服务器推送更新费率，断线后自动重连', async (t) => {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await once(server, 'listening');
+  t.after(() => {
+    stopBinanceStream();
+    server.close();
+  });
+
+  const firstConnection = once(server, 'connection');
+  startBinanceStream({ url: `ws://127.0.0.1:${server.address().port}` });
+  const [first] = await firstConnection;
+
+  assert.equal(getStreamRates(), null);
+  first.send(markPriceFrame('BTCUSDT', 60000, 0.0001));
+  await waitFor(() => getStreamRates()?.length === 1);
+  assert.deepEqual(getStreamRates(), [{
+    instrument: 'BTCUSDT',
+    markPrice: 60000,
+    indexPrice: 60000,
+    fundingRate: 0.01,
+    fundingTime: new Date(1700006400000).toISOString(),
+  }]);
+
+  first.send(markPriceFrame('BTCUSDT', 61000, 0.0002));
+  await waitFor(() => getStreamRates()?.[0].markPrice === 61000);
+  assert.equal(getStreamRates()[0].fundingRate, 0.02);
+
+  // 服务端断开后推送不可用，按退避重连
+  const secondConnection = once(server, 'connection');
+  first.terminate();
+  await waitFor(() => !isBinanceStreamFresh());
+  const [second] = await secondConnection;
+
+  second.send(markPriceFrame('ETHUSDT', 3000, -0.0001));
+  await waitFor(() => getStreamRates()?.some(r => r.instrument === 'ETHUSDT'));
+  assert.deepEqual(getStreamRates().map(r => r.instrument).sort(), ['BTCUSDT', 'ETHUSDT']);
+});
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'var-config-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeConfig(content) {
+  const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+// 显式指定配置文件，不受当前目录下 config.json 影响
+function load(content, { argv = [], env = {} } = {}) {
+  return loadConfig({ argv: ['--config', writeConfig(content), ...argv], env });
+}
+
+test('默认值 < 配置文件 < 环境变量 < 命令行参数', () => {
+  assert.equal(load({}).httpPort, 10241);
+  assert.equal(load({ httpPort: 1001 }).httpPort, 1001);
+  assert.equal(load({ httpPort: 1001 }, { env: { HTTP_PORT: '1002' } }).httpPort, 1002);
+  assert.equal(load({ httpPort: 1001 }, { env: { HTTP_PORT: '1002' }, argv: ['--http-port=1003'] }).httpPort, 1003);
+  assert.equal(load({}, { argv: ['--http-port', '1004'] }).httpPort, 1004);
+});
+
+test('按类型转换字符串输入', () => {
+  const config = load({}, {
+    env: { BINANCE_STREAM: 'false', HEDGE_EXCHANGES: 'okx, bybit,okx', PROXY_URL: 'http://10.0.0.1:8080/path' },
+    argv: ['--var-stream'],
+  });
+  assert.equal(config.binanceStream, false);
+  assert.equal(config.varStream, true);
+  assert.deepEqual(config.hedgeExchanges, ['okx', 'bybit']);
+  assert.equal(config.proxyUrl, 'http://10.0.0.1:8080');
+  assert.ok(Object.isFrozen(config));
+});
+
+test('可选字符串允许为空，必填字符串校验长度', () => {
+  assert.equal(load({ telegramAdminChatId: '' }).telegramAdminChatId, '');
+  assert.throws(() => load({ bridgeToken: 'short' }), /bridgeToken .*长度不能小于 16/);
+});
+
+test('汇总所有无效配置后抛出 INVALID_CONFIG', () => {
+  assert.throws(
+    () => load({ unknownKey: 1, wsPort: 70000 }, { env: { CACHE_TTL: '-1', HEDGE_EXCHANGES: 'ftx' } }),
+    err => {
+      assert.equal(err.code, 'INVALID_CONFIG');
+      assert.match(err.message, /未知配置项: unknownKey/);
+      assert.match(err.message, /wsPort .*1-65535/);
+      assert.match(err.message, /cacheTtl .*不能小于 0/);
+      assert.match(err.message, /hedgeExchanges .*未知值 ftx/);
+      return true;
+    },
+  );
+});
+
+test('交易对映射校验交易所和映射格式', () => {
+  const overrides = { binance: { '1000SATSUSDT': { asset: '1000SATS', multiplier: 1 } }, okx: { 'LUNA-USDT-SWAP': null } };
+  assert.deepEqual(load({ symbolOverrides: overrides }).symbolOverrides, overrides);
+  assert.throws(() => load({ symbolOverrides: { ftx: {} } }), /未知交易所 ftx/);
+  assert.throws(() => load({ symbolOverrides: { okx: { X: { multiplier: 0 } } } }), /okx\.X 必须是/);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFeeRate, getRoundTripCost } from '../src/costModel.js';
+import { config, loadConfig } from '../src/config.js';
+import { generateArbitrageTimeline } from '../src/fundingUtils.js';
+
+const HOUR = 3600000;
+
+test('手续费和滑点取自配置', () => {
+  assert.equal(getFeeRate('binance', 'maker'), config.venueFees.binance.maker);
+  assert.equal(getFeeRate('okx'), config.venueFees.okx.taker);
+  assert.throws(() => getFeeRate('unknown'), /未配置 unknown 的手续费/);
+
+  const sideCost = config.venueFees.var.taker + config.venueFees.bybit.taker + 2 * config.slippageBps / 100;
+  assert.deepEqual(getRoundTripCost('bybit'), { entryCost: sideCost, exitCost: sideCost, totalCost: sideCost * 2 });
+  assert.equal(getRoundTripCost('bybit', { slippageBps: 0 }).totalCost,
+    2 * (config.venueFees.var.taker + config.venueFees.bybit.taker));
+});
+
+test('手续费覆盖按交易所合并默认费率', () => {
+  const loaded = loadConfig({ argv: [], env: { VENUE_FEES: '{"binance":{"taker":0.04}}' } });
+  assert.deepEqual(loaded.venueFees.binance, { maker: 0.02, taker: 0.04 });
+  assert.deepEqual(loaded.venueFees.okx, { maker: 0.02, taker: 0.05 });
+
+  assert.throws(() => loadConfig({ argv: [], env: { VENUE_FEES: '{"ftx":{"taker":0.04}}' } }), /未知交易所 ftx/);
+  assert.throws(() => loadConfig({ argv: [], env: { VENUE_FEES: '{"okx":{"taker":-1}}' } }), /okx 必须是/);
+});
+
+/**
+ * VAR 每 8 小时结算一次，第一次在 1 小时后；对冲所费率为 0
+ */
+function timeline(varRate, roundTripCost, direction = 'SHORT_VAR') {
+  const firstSettlement = new Date(Date.now() + HOUR).toISOString();
+  return generateArbitrageTimeline({
+    varPrice: 100,
+    hedgePrice: 100,
+    varRate,
+    varInterval: 28800,
+    hedgeRate: 0,
+    hedgeInterval: 28800,
+    varFundingTime: firstSettlement,
+    hedgeFundingTime: firstSettlement,
+    direction,
+    roundTripCost,
+  });
+}
+
+function assertHours(actual, expected) {
+  // 时间线以函数内部的当前时间为起点，允许毫秒级偏差
+  assert.ok(Math.abs(actual - expected) < 0.01, `${actual} != ${expected}`);
+}
+
+test('模拟期内回本时取累计收益首次覆盖成本的时点', () => {
+  const result = timeline(0.1, 0.15);
+  assertHours(result.breakEvenHours, 9);
+  assert.ok(Math.abs(result.netProfit - (0.3 - 0.15)) < 1e-12);
+});
+
+test('模拟期内未回本时按平均收益外推', () => {
+  // 24 小时收 0.3%，每小时 0.0125%，还差 0.7%
+  assertHours(timeline(0.1, 1).breakEvenHours, 24 + 0.7 / 0.0125);
+});
+
+test('费率收益为负时无法回本，无套利方向不计成本', () => {
+  assert.equal(timeline(-0.1, 0.15).breakEvenHours, null);
+
+  const none = timeline(0.1, 0.15, 'NONE');
+  assert.equal(none.tradingCost, 0);
+  assert.equal(none.breakEvenHours, 0);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { walkBook, parseVarQuotes } from '../src/liquidity.js';
+
+test('按档位吃单计算成交均价', () => {
+  const asks = [[100, 10], [101, 10]];
+
+  const partial = walkBook(asks, 500);
+  assert.equal(partial.avgPrice, 100);
+  assert.equal(partial.complete, true);
+
+  // 第一档 1000，第二档 1010 中吃掉 505
+  const deep = walkBook(asks, 1505);
+  assert.equal(deep.filledNotional, 1505);
+  assert.ok(Math.abs(deep.avgPrice - 1505 / (10 + 5)) < 1e-9);
+  assert.equal(deep.complete, true);
+
+  const short = walkBook(asks, 5000);
+  assert.equal(short.filledNotional, 2010);
+  assert.equal(short.complete, false);
+
+  assert.deepEqual(walkBook([], 100), { avgPrice: 0, filledNotional: 0, complete: false });
+});
+
+test('解析 VAR 分档报价，按档位排序并以最小档中间价为基准', () => {
+  const quotes = parseVarQuotes({
+    listings: [
+      {
+        ticker: 'BTC',
+        quotes: {
+          updated_at: '2024-01-01T00:00:00Z',
+          size_100k: { bid: '99.5', ask: '100.5' },
+          size_1k: { bid: '99.9', ask: '100.1' },
+          size_1m: { bid: '0', ask: '101' },
+        },
+      },
+      { ticker: 'ETH', quotes: {} },
+    ],
+  });
+
+  assert.deepEqual([...quotes.keys()], ['BTC']);
+  const btc = quotes.get('BTC');
+  assert.equal(btc.mid, 100);
+  assert.deepEqual(btc.levels.map(level => level.size), [1000, 100000]);
+  assert.equal(btc.levels[1].bid, 99.5);
+});
+
+test('报价接口格式不符时抛出 INVALID_RESPONSE', () => {
+  assert.throws(() => parseVarQuotes({ result: [] }), { code: 'INVALID_RESPONSE' });
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCounter, createGauge, createHistogram, renderMetrics } from '../src/metrics.js';
+
+// 注册表是模块级的，只检查本文件注册的指标所在的片段
+function section(text, name) {
+  const lines = text.split('\n');
+  const start = lines.indexOf(`# HELP variational_${name} ${name} help`);
+  assert.notEqual(start, -1, `缺少 ${name}`);
+  const end = lines.findIndex((line, i) => i > start + 1 && line.startsWith('# HELP '));
+  return lines.slice(start, end === -1 ? lines.length - 1 : end);
+}
+
+test('计数器按标签累加并转义标签值', () => {
+  const counter = createCounter('test_requests_total', 'test_requests_total help');
+  counter.inc({ venue: 'binance', status: 'ok' });
+  counter.inc({ status: 'ok', venue: 'binance' }, 2);
+  counter.inc({ venue: 'a"b\\c\nd' });
+
+  assert.deepEqual(section(renderMetrics(), 'test_requests_total'), [
+    '# HELP variational_test_requests_total test_requests_total help',
+    '# TYPE variational_test_requests_total counter',
+    'variational_test_requests_total{venue="binance",status="ok"} 3',
+    'variational_test_requests_total{venue="a\\"b\\\\c\\nd"} 1',
+  ]);
+});
+
+test('仪表在输出前通过 collect 刷新', () => {
+  let age = 5;
+  createGauge('test_cache_age_seconds', 'test_cache_age_seconds help', {
+    collect: gauge => {
+      gauge.reset();
+      if (age !== null) gauge.set({}, age);
+    },
+  });
+
+  assert.deepEqual(section(renderMetrics(), 'test_cache_age_seconds').slice(2), ['variational_test_cache_age_seconds 5']);
+  age = null;
+  assert.deepEqual(section(renderMetrics(), 'test_cache_age_seconds').slice(2), []);
+});
+
+test('直方图输出累计桶、总和与次数', () => {
+  const histogram = createHistogram('test_duration_seconds', 'test_duration_seconds help', { buckets: [0.1, 1] });
+  histogram.observe({ method: 'fetch' }, 0.05);
+  histogram.observe({ method: 'fetch' }, 0.5);
+  histogram.observe({ method: 'fetch' }, 2);
+
+  assert.deepEqual(section(renderMetrics(), 'test_duration_seconds').slice(2), [
+    'variational_test_duration_seconds_bucket{method="fetch",le="0.1"} 1',
+    'variational_test_duration_seconds_bucket{method="fetch",le="1"} 2',
+    'variational_test_duration_seconds_bucket{method="fetch",le="+Inf"} 3',
+    'variational_test_duration_seconds_sum{method="fetch"} 2.55',
+    'variational_test_duration_seconds_count{method="fetch"} 3',
+  ]);
+});
+
+test('采集失败不影响其他指标输出', () => {
+  createGauge('test_broken', 'test_broken help', { collect: () => { throw new Error('boom'); } });
+  const text = renderMetrics();
+  assert.ok(text.endsWith('\n'));
+  assert.deepEqual(section(text, 'test_broken'), ['# HELP variational_test_broken test_broken help', '# TYPE variational_test_broken gauge']);
+});
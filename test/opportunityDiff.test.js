@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffOpportunities } from '../src/opportunityDiff.js';
+
+// 同一份数据在不同时刻重建：时间线建仓行和回本时间随当前时间变化
+function build(symbol, varRate, now) {
+  return {
+    symbol,
+    varRate,
+    netDailyProfit: varRate * 100,
+    breakEvenHours: 8 - now / 3600000,
+    timeline: { timeline: [{ time: now, timeText: String(now), event: 'OPEN' }] },
+    alternatives: [{ hedgeVenue: 'okx', netDailyProfit: 1, breakEvenHours: 9 - now / 3600000 }],
+  };
+}
+
+test('数据未变时重建不产生变化的行', () => {
+  const previous = [build('BTC', 0.01, 0), build('ETH', 0.02, 0)];
+  const current = [build('BTC', 0.01, 1000), build('ETH', 0.02, 1000)];
+
+  assert.deepEqual(diffOpportunities(previous, current), { changed: [], removed: [], order: ['BTC', 'ETH'] });
+});
+
+test('只返回数据变化的行和消失的交易对', () => {
+  const previous = [build('BTC', 0.01, 0), build('ETH', 0.02, 0), build('SOL', 0.03, 0)];
+  const current = [build('ETH', 0.05, 1000), build('BTC', 0.01, 1000), build('DOGE', 0.01, 1000)];
+
+  const diff = diffOpportunities(previous, current);
+  assert.deepEqual(diff.changed.map(o => o.symbol), ['ETH', 'DOGE']);
+  assert.deepEqual(diff.removed, ['SOL']);
+  assert.deepEqual(diff.order, ['ETH', 'BTC', 'DOGE']);
+});
+
+test('首次推送时所有行都算变化', () => {
+  const current = [build('BTC', 0.01, 0)];
+  assert.deepEqual(diffOpportunities(null, current).changed, current);
+});
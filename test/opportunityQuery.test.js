@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryOpportunities, findOpportunity, listSymbols, decodeSymbolParam } from '../src/opportunityQuery.js';
+
+const OPPORTUNITIES = [
+  { symbol: 'BTC', hedgeVenue: 'binance', direction: 'SHORT_VAR', volume24h: 5000000, netDailyProfit: 12, annualDiff: 30, breakEvenHours: 6, timeline: [{}], alternatives: [{ hedgeVenue: 'okx' }] },
+  { symbol: 'ETH', hedgeVenue: 'bybit', direction: 'SHORT_HEDGE', volume24h: 2000000, netDailyProfit: 5, annualDiff: 18, breakEvenHours: null, timeline: [{}] },
+  { symbol: 'SOL', hedgeVenue: 'okx', direction: 'NONE', volume24h: 800000, netDailyProfit: -1, annualDiff: 2, breakEvenHours: 40, timeline: [{}] },
+];
+
+function query(search) {
+  return queryOpportunities(OPPORTUNITIES, new URLSearchParams(search));
+}
+
+test('按方向、成交量和收益过滤', () => {
+  assert.deepEqual(query('direction=short_var,short_hedge').opportunities.map(o => o.symbol), ['BTC', 'ETH']);
+  assert.deepEqual(query('minVolume=1000000&minProfit=6').opportunities.map(o => o.symbol), ['BTC']);
+  assert.throws(() => query('direction=LONG'), err => err.status === 400 && /未知的 direction: LONG/.test(err.message));
+  assert.throws(() => query('minProfit=abc'), err => err.status === 400);
+});
+
+test('排序时 null 值排在最后', () => {
+  assert.deepEqual(query('sort=breakEvenHours').opportunities.map(o => o.symbol), ['BTC', 'SOL', 'ETH']);
+  assert.deepEqual(query('sort=-breakEvenHours').opportunities.map(o => o.symbol), ['SOL', 'BTC', 'ETH']);
+  assert.deepEqual(query('sort=symbol').opportunities.map(o => o.symbol), ['BTC', 'ETH', 'SOL']);
+  assert.throws(() => query('sort=timeline'), err => err.status === 400);
+});
+
+test('分页并默认去掉时间线', () => {
+  const page = query('limit=1&offset=1');
+  assert.equal(page.total, 3);
+  assert.equal(page.limit, 1);
+  assert.equal(page.offset, 1);
+  assert.deepEqual(page.opportunities.map(o => o.symbol), ['ETH']);
+  assert.equal('timeline' in page.opportunities[0], false);
+  assert.ok(query('includeTimeline=1').opportunities[0].timeline);
+  assert.equal(query('').limit, 50);
+  assert.throws(() => query('limit=501'), err => err.status === 400);
+  assert.throws(() => query('offset=-1'), err => err.status === 400);
+});
+
+test('查询单个交易对和交易对列表', () => {
+  assert.equal(findOpportunity(OPPORTUNITIES, 'eth'), OPPORTUNITIES[1]);
+  assert.equal(findOpportunity(OPPORTUNITIES, 'DOGE'), null);
+  assert.deepEqual(listSymbols(OPPORTUNITIES)[0], { symbol: 'BTC', hedgeVenue: 'binance', direction: 'SHORT_VAR', venues: ['binance', 'okx'] });
+});
+
+test('非法的交易对编码按参数错误返回400', () => {
+  assert.equal(decodeSymbolParam('1000PEPE%2DUSD'), '1000PEPE-USD');
+  assert.throws(() => decodeSymbolParam('%E0'), err => err.status === 400 && /交易对编码无效/.test(err.message));
+});
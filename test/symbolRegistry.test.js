@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 配置在导入时加载，先设置手动覆盖再导入注册表
+process.env.SYMBOL_OVERRIDES = JSON.stringify({
+  binance: { '1000SATSUSDT': null, BEAMXUSDT: { asset: 'BEAM' } },
+});
+const { resolveInstrument, getInstrument, normalizeVenueRates, normalizeOrderBook } = await import('../src/symbolRegistry.js');
+
+test('解析各交易所合约名和多倍前缀', () => {
+  assert.deepEqual(resolveInstrument('binance', '1000PEPEUSDT'), { asset: 'PEPE', quote: 'USDT', multiplier: 1000 });
+  assert.deepEqual(resolveInstrument('binance', '1INCHUSDT'), { asset: '1INCH', quote: 'USDT', multiplier: 1 });
+  assert.deepEqual(resolveInstrument('bybit', 'BTCPERP'), { asset: 'BTC', quote: 'USDC', multiplier: 1 });
+  assert.deepEqual(resolveInstrument('bybit', '1000000MOGUSDT'), { asset: 'MOG', quote: 'USDT', multiplier: 1e6 });
+  assert.deepEqual(resolveInstrument('okx', 'ETH-USDC-SWAP'), { asset: 'ETH', quote: 'USDC', multiplier: 1 });
+  assert.equal(resolveInstrument('okx', 'BTC-USD-SWAP'), null);
+  assert.deepEqual(resolveInstrument('hyperliquid', 'kPEPE'), { asset: 'PEPE', quote: 'USDC', multiplier: 1000 });
+  assert.deepEqual(resolveInstrument('var', 'BTC'), { asset: 'BTC', quote: 'USDC', multiplier: 1 });
+});
+
+test('手动覆盖优先，null 表示排除', () => {
+  assert.equal(resolveInstrument('binance', '1000SATSUSDT'), null);
+  assert.deepEqual(resolveInstrument('binance', 'BEAMXUSDT'), { asset: 'BEAM', quote: 'USDT', multiplier: 1 });
+  assert.deepEqual(getInstrument('binance', 'BEAM'), { instrument: 'BEAMXUSDT', asset: 'BEAM', quote: 'USDT', multiplier: 1 });
+});
+
+test('未拉取合约列表时按默认规则生成合约名', () => {
+  assert.deepEqual(getInstrument('okx', 'SOL'), { instrument: 'SOL-USDT-SWAP', asset: 'SOL', quote: 'USDT', multiplier: 1 });
+  assert.equal(getInstrument('bybit', 'ETH').instrument, 'ETHUSDT');
+});
+
+test('费率归一化按计价货币择优并折算价格', () => {
+  const rates = normalizeVenueRates('binance', [
+    { instrument: 'BTCUSDC', markPrice: 60010, indexPrice: 60000 },
+    { instrument: 'BTCUSDT', markPrice: 60000, indexPrice: 59990 },
+    { instrument: '1000PEPEUSDT', markPrice: 0.012, indexPrice: 0.011 },
+    { instrument: '1000SATSUSDT', markPrice: 0.0003, indexPrice: 0.0003 },
+  ]);
+
+  assert.deepEqual(rates.map(r => [r.symbol, r.instrument, r.quote]), [
+    ['BTC', 'BTCUSDT', 'USDT'],
+    ['PEPE', '1000PEPEUSDT', 'USDT'],
+  ]);
+  assert.equal(rates[1].markPrice, 0.012 / 1000);
+  assert.equal(rates[1].indexPrice, 0.011 / 1000);
+  // 拉取后按实际合约查找
+  assert.deepEqual(getInstrument('binance', 'PEPE'), { instrument: '1000PEPEUSDT', quote: 'USDT', multiplier: 1000 });
+});
+
+test('订单簿按乘数折算价格和数量', () => {
+  const book = { bids: [[12, 5]], asks: [[13, 2]] };
+  assert.equal(normalizeOrderBook(book, 1), book);
+  assert.deepEqual(normalizeOrderBook(book, 1000), { bids: [[0.012, 5000]], asks: [[0.013, 2000]] });
+});
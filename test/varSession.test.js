@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CODES } from '../src/protocol.js';
+import {
+  SESSION_STATUS, classifyVarError, reportVarFailure, reportVarSuccess, getVarSession, onVarSessionChange,
+} from '../src/varSession.js';
+
+function codedError(code, message = code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+test('按错误码区分登录失效和人机验证', () => {
+  assert.equal(classifyVarError(codedError(ERROR_CODES.UNAUTHORIZED)), SESSION_STATUS.SESSION_EXPIRED);
+  assert.equal(classifyVarError(codedError(ERROR_CODES.FORBIDDEN)), SESSION_STATUS.SESSION_EXPIRED);
+  assert.equal(classifyVarError(codedError(ERROR_CODES.CHALLENGE)), SESSION_STATUS.CHALLENGE);
+  assert.equal(classifyVarError(codedError(ERROR_CODES.TIMEOUT)), null);
+  assert.equal(classifyVarError(new Error('network')), null);
+  assert.equal(classifyVarError(undefined), null);
+});
+
+test('会话状态只在变化时通知，请求成功后恢复', (t) => {
+  const changes = [];
+  t.after(onVarSessionChange((session, previous) => changes.push([previous, session.status])));
+
+  assert.equal(reportVarFailure(new Error('network')), false);
+  assert.equal(getVarSession().status, SESSION_STATUS.OK);
+
+  assert.equal(reportVarFailure(codedError(ERROR_CODES.UNAUTHORIZED, 'HTTP 401')), true);
+  assert.equal(reportVarFailure(codedError(ERROR_CODES.FORBIDDEN, 'HTTP 403')), true);
+  const expired = getVarSession();
+  assert.equal(expired.status, SESSION_STATUS.SESSION_EXPIRED);
+  assert.equal(expired.error, 'HTTP 403');
+  // 没有已连接的插件时不计入恢复次数
+  assert.equal(expired.recoveryAttempts, 0);
+  assert.match(expired.message, /VAR 登录已失效/);
+
+  reportVarFailure(codedError(ERROR_CODES.CHALLENGE, 'challenge'));
+  assert.match(getVarSession().message, /人机验证/);
+
+  reportVarSuccess();
+  reportVarSuccess();
+  assert.equal(getVarSession().status, SESSION_STATUS.OK);
+  assert.equal(getVarSession().error, null);
+
+  assert.deepEqual(changes, [
+    [SESSION_STATUS.OK, SESSION_STATUS.SESSION_EXPIRED],
+    [SESSION_STATUS.SESSION_EXPIRED, SESSION_STATUS.CHALLENGE],
+    [SESSION_STATUS.CHALLENGE, SESSION_STATUS.OK],
+  ]);
+});
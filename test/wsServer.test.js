@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { once } from 'node:events';
+
+// 先占用一个端口，配置在导入时加载，再让服务器监听同一端口
+const blocker = net.createServer();
+blocker.listen(0, '0.0.0.0');
+await once(blocker, 'listening');
+process.env.WS_PORT = String(blocker.address().port);
+process.env.BRIDGE_TOKEN = 'test-bridge-token-0123456789';
+const { startServer, stopServer } = await import('../src/wsServer.js');
+
+test('端口被占用时 startServer 失败，释放后可以重新启动', async () => {
+  await assert.rejects(startServer(), { code: 'EADDRINUSE' });
+
+  blocker.close();
+  await once(blocker, 'close');
+  await startServer();
+  await stopServer();
+});